@@ -0,0 +1,48 @@
+/* ==============================
+  🔖 빌드 산출물 공용 모듈
+  build.js(전체 빌드)와 build-css.js(스타일시트만 다시 빌드)에서 공유
+  - 콘텐츠 해시 파일명, CSS url() 참조 교체, 서비스 워커·precache 매니페스트 생성
+  ============================== */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+
+export const normalizePath = (path) => path.replace(/^\.?\//, '');
+
+// 'app.css' + 내용 → 'app.1a2b3c4d.css'
+export const hashedPath = (path, content) => {
+  const hash = createHash('sha256').update(content).digest('hex').slice(0, 8);
+  return path.replace(/(\.[^./]+)$/, `.${hash}$1`);
+};
+
+// 로컬 참조를 해시 경로로 교체 (매니페스트에 없는 경로·외부 URL은 그대로)
+export const rewriteRef = (ref, assetManifest) => {
+  const hashed = assetManifest[normalizePath(ref)];
+  return hashed ? `./${hashed}` : ref;
+};
+
+export const rewriteCssUrls = (css, assetManifest) => css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g,
+  (match, quote, ref) => `url(${quote}${rewriteRef(ref, assetManifest)}${quote})`);
+
+// precache-manifest.json과 sw.js 생성 - 반환: { version, files }
+// 경로와 내용이 같으면 같은 버전 → 바뀐 파일이 있을 때만 워커가 갱신됨
+export const writeServiceWorker = (dir, files) => {
+  const precacheFiles = [...new Set(files.map(normalizePath))].sort();
+
+  const missing = precacheFiles.filter(file => !existsSync(`${dir}/${file}`));
+  if (missing.length > 0) {
+    throw new Error(`precache 대상 파일이 빌드 결과에 없습니다: ${missing.join(', ')}`);
+  }
+
+  const versionHash = createHash('sha256');
+  precacheFiles.forEach(file => {
+    versionHash.update(file);
+    versionHash.update(readFileSync(`${dir}/${file}`));
+  });
+  const precacheManifest = { version: versionHash.digest('hex').slice(0, 12), files: precacheFiles };
+
+  writeFileSync(`${dir}/precache-manifest.json`, JSON.stringify(precacheManifest, null, 2));
+  writeFileSync(`${dir}/sw.js`,
+    `self.__PRECACHE_MANIFEST__ = ${JSON.stringify(precacheManifest)};\n${readFileSync('./src/sw.js', 'utf8')}`);
+  return precacheManifest;
+};
@@ -0,0 +1,76 @@
+/* ==============================
+  🎨 스타일시트만 다시 빌드 (개발 서버 CSS 핫 스왑용)
+  app.css만 바뀌었을 때 폰트 서브셋·아이콘 최적화·JavaScript 번들 없이
+  기존 dist/asset-manifest.json을 재사용해 해시 파일명의 app.css만 새로 만들고
+  index.html, 404.html, asset-manifest.json, 서비스 워커의 참조를 갱신
+
+  종료 코드: 0 성공, 1 빌드 오류, 3 전체 빌드 필요 (dist 없음, 사용하는 폰트 굵기 변경)
+  ============================== */
+
+import { readFileSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { rewriteFontFaces } from './font-subset.js';
+import { toBuildErrors, formatBuildErrors } from './build-error.js';
+import { normalizePath, hashedPath, rewriteCssUrls, writeServiceWorker } from './build-assets.js';
+
+const outDir = './dist';
+const manifestFile = `${outDir}/asset-manifest.json`;
+
+const FULL_BUILD_REQUIRED = 3;
+
+// build.js와 같은 형식으로 오류 보고 (개발 서버 오류 오버레이용)
+const reportBuildError = (error) => {
+  const errors = toBuildErrors(error);
+  console.error(formatBuildErrors(errors));
+  if (process.env.BUILD_ERROR_FILE) {
+    writeFileSync(process.env.BUILD_ERROR_FILE, JSON.stringify({ errors }, null, 2));
+  }
+  process.exit(1);
+};
+
+const requireFullBuild = (reason) => {
+  console.log(`↪️  ${reason} → 전체 빌드 필요`);
+  process.exit(FULL_BUILD_REQUIRED);
+};
+
+process.on('uncaughtException', reportBuildError);
+process.on('unhandledRejection', reportBuildError);
+
+console.log('🎨 Rebuilding app.css only...');
+
+if (!existsSync(manifestFile)) requireFullBuild('asset-manifest.json이 없습니다');
+const assetManifest = JSON.parse(readFileSync(manifestFile, 'utf8'));
+const previous = assetManifest['app.css'];
+if (!previous) requireFullBuild('asset-manifest.json에 app.css가 없습니다');
+
+// 서브셋 폰트는 쓰이는 굵기가 그대로일 때만 재사용
+const { css: fontCss, fonts } = rewriteFontFaces(readFileSync('./src/app.css', 'utf8'));
+const needed = fonts.map(normalizePath).sort();
+const built = Object.keys(assetManifest).filter(path => path.startsWith('fonts/')).sort();
+if (needed.join('\n') !== built.join('\n')) requireFullBuild('사용하는 폰트 굵기가 바뀌었습니다');
+
+const css = rewriteCssUrls(fontCss, assetManifest);
+const next = hashedPath('app.css', css);
+if (next === previous) {
+  console.log('   ℹ️  변경 없음');
+  process.exit(0);
+}
+
+// 새 파일을 먼저 쓰고 참조를 바꾼 뒤 이전 파일 삭제
+writeFileSync(`${outDir}/${next}`, css);
+assetManifest['app.css'] = next;
+writeFileSync(manifestFile, `${JSON.stringify(assetManifest, null, 2)}\n`);
+
+['index.html', '404.html'].forEach(file => {
+  const path = `${outDir}/${file}`;
+  if (existsSync(path)) writeFileSync(path, readFileSync(path, 'utf8').split(previous).join(next));
+});
+
+const precacheFile = `${outDir}/precache-manifest.json`;
+if (existsSync(precacheFile)) {
+  const { files } = JSON.parse(readFileSync(precacheFile, 'utf8'));
+  const { version } = writeServiceWorker(outDir, files.map(file => file === previous ? next : file));
+  console.log(`   ✅ sw.js (version ${version})`);
+}
+
+rmSync(`${outDir}/${previous}`, { force: true });
+console.log(`   ✅ ${previous} → ${next}`);
@@ -0,0 +1,66 @@
+/* ==============================
+  🚨 빌드 오류 정리 모듈
+  Bun.build의 AggregateError(BuildMessage)와 일반 예외를
+  { message, file, line, column, frame } 목록으로 바꿔 터미널과 개발 서버 오버레이에서 공유
+  ============================== */
+
+import { readFileSync, existsSync } from 'fs';
+import { relative } from 'path';
+
+const FRAME_CONTEXT = 2;
+
+// 오류 위치 앞뒤 행을 번호와 함께 표시, 오류 행은 > 와 ^ 로 강조
+export const createCodeFrame = (source, line, column = 0) => {
+  const lines = source.split('\n');
+  const start = Math.max(1, line - FRAME_CONTEXT);
+  const end = Math.min(lines.length, line + FRAME_CONTEXT);
+  const width = String(end).length;
+
+  const frame = [];
+  for (let number = start; number <= end; number++) {
+    const marker = number === line ? '>' : ' ';
+    frame.push(`${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`);
+    if (number === line && column > 0) {
+      frame.push(`  ${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+    }
+  }
+  return frame.join('\n');
+};
+
+const readFrame = (file, line, column) => {
+  if (!file || !line || !existsSync(file)) return null;
+  return createCodeFrame(readFileSync(file, 'utf8'), line, column);
+};
+
+// 스택 첫 프레임에서 위치 추출 (file:line:column)
+const locateFromStack = (stack = '') => {
+  const match = stack.match(/\(?((?:\/|[A-Za-z]:\\)[^():\s]+):(\d+):(\d+)\)?/);
+  return match ? { file: match[1], line: Number(match[2]), column: Number(match[3]) } : {};
+};
+
+const toEntry = ({ message, file, line, column }) => ({
+  message,
+  file: file ? relative(process.cwd(), file) : null,
+  line: line ?? null,
+  column: column ?? null,
+  frame: readFrame(file, line, column)
+});
+
+// 어떤 형태의 오류든 오류 목록으로 변환
+export const toBuildErrors = (error) => {
+  // Bun.build 실패: 메시지마다 position { file, line, column }
+  if (Array.isArray(error?.errors) && error.errors.length > 0) {
+    return error.errors.map(entry => toEntry({
+      message: entry.message ?? String(entry),
+      ...(entry.position ?? locateFromStack(entry.stack))
+    }));
+  }
+
+  return [toEntry({ message: error?.message ?? String(error), ...locateFromStack(error?.stack) })];
+};
+
+// 터미널 출력용
+export const formatBuildErrors = (errors) => errors.map(({ message, file, line, column, frame }) => {
+  const location = file ? `${file}${line ? `:${line}${column ? `:${column}` : ''}` : ''}` : '';
+  return [`❌ ${message}`, location && `   at ${location}`, frame].filter(Boolean).join('\n');
+}).join('\n\n');
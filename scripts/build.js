@@ -3,47 +3,50 @@
 // ==============================
 
 import { build } from 'bun';
-import { cpSync, mkdirSync, readFileSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { cpSync, mkdirSync, readFileSync, readdirSync, writeFileSync, rmSync, renameSync, existsSync } from 'fs';
+import { relative, resolve } from 'path';
+import { findReferencedFonts } from './font-usage.js';
+import { subsetFonts } from './font-subset.js';
+import { optimizeSvg } from './svg-optimize.js';
+import { toBuildErrors, formatBuildErrors } from './build-error.js';
+import { hashedPath, rewriteRef, rewriteCssUrls, writeServiceWorker } from './build-assets.js';
 
 const nodeEnv = process.env.NODE_ENV || 'production';
 
 console.log('🏗️  Building...');
 console.log(`   NODE_ENV: ${nodeEnv}`);
 
-// dist 폴더 초기화
-try {
-  rmSync('./dist', { recursive: true, force: true });
-  console.log('🗑️  Cleaned dist folder');
-} catch (error) {
-  // 폴더가 없는 경우 무시
-}
-
-mkdirSync('./dist', { recursive: true });
+// 임시 폴더에 빌드한 뒤 성공했을 때만 dist와 교체 (실패해도 이전 dist 유지)
+const outDir = './dist';
+const buildDir = './dist.tmp';
 
-// JavaScript 빌드
-console.log('📦 Building JavaScript...');
-await build({
-  entrypoints: ['src/app.js'],
-  outdir: 'dist',
-  target: 'browser',
-  format: 'esm',
-  minify: true,
-  sourcemap: 'external',
-  define: {
-    'process.env.NODE_ENV': JSON.stringify(nodeEnv)
+// 빌드 실패 시 파일·행·코드 프레임 출력
+// BUILD_ERROR_FILE이 지정되면 JSON으로도 기록 (개발 서버 오류 오버레이용)
+const reportBuildError = (error) => {
+  const errors = toBuildErrors(error);
+  console.error(formatBuildErrors(errors));
+  if (process.env.BUILD_ERROR_FILE) {
+    writeFileSync(process.env.BUILD_ERROR_FILE, JSON.stringify({ errors }, null, 2));
   }
-});
+  rmSync(buildDir, { recursive: true, force: true });
+  process.exit(1);
+};
+
+process.on('uncaughtException', reportBuildError);
+process.on('unhandledRejection', reportBuildError);
+
+// 임시 폴더 초기화
+rmSync(buildDir, { recursive: true, force: true });
+mkdirSync(buildDir, { recursive: true });
 
 // 정적 파일 복사
 const copyTasks = [
-  { src: './src/fonts', dest: './dist/fonts', recursive: true, label: 'fonts folder' },
-  { src: './src/icons', dest: './dist/assets/icons', recursive: true, label: 'icons folder' },
-  { src: './src/app.css', dest: './dist/app.css', recursive: false, label: 'app.css' },
+  { src: './src/icons', dest: `${buildDir}/assets/icons`, recursive: true, label: 'icons folder' },
 ];
 
 // public 폴더가 있으면 복사
 if (existsSync('./public')) {
-  copyTasks.push({ src: './public', dest: './dist/public', recursive: true, label: 'public folder' });
+  copyTasks.push({ src: './public', dest: `${buildDir}/public`, recursive: true, label: 'public folder' });
 }
 
 console.log('📁 Copying static files...');
@@ -58,6 +61,90 @@ copyTasks.forEach(({ src, dest, recursive, label }) => {
   }
 });
 
+const formatKB = (bytes) => `${(bytes / 1024).toFixed(0)}KB`;
+
+// 아이콘 최적화 (원본 src/icons는 그대로 두고 복사본만 최적화 - icons.json 해시와 같은 결과)
+console.log('🧹 Optimizing icons...');
+// sprite.svg는 update-icons가 이미 최적화된 마크업으로 생성
+const iconFiles = readdirSync(`${buildDir}/assets/icons`).filter(file => file.endsWith('.svg') && file !== 'sprite.svg');
+let iconBytesBefore = 0;
+let iconBytesAfter = 0;
+iconFiles.forEach(file => {
+  const path = `${buildDir}/assets/icons/${file}`;
+  try {
+    const { markup, bytesBefore, bytesAfter } = optimizeSvg(readFileSync(path, 'utf8'));
+    writeFileSync(path, markup);
+    iconBytesBefore += bytesBefore;
+    iconBytesAfter += bytesAfter;
+  } catch (error) {
+    throw new Error(`src/icons/${file}: ${error.message}`);
+  }
+});
+console.log(`   ✅ ${iconFiles.length} icons ${formatKB(iconBytesBefore)} → ${formatKB(iconBytesAfter)}`);
+
+// 폰트 서브셋 (app.css에서 쓰이는 굵기만 WOFF2로 변환, @font-face 교체)
+console.log('🔤 Subsetting fonts...');
+const fontResult = await subsetFonts({
+  css: readFileSync('./src/app.css', 'utf8'),
+  cssDir: './src',
+  srcDir: './src',
+  outFontDir: `${buildDir}/fonts`,
+  configFile: './src/fonts/subset.json'
+});
+
+fontResult.fonts.forEach(({ to, weight, bytesBefore, bytesAfter }) => {
+  console.log(`   ✅ ${to} (${weight}) ${formatKB(bytesBefore)} → ${formatKB(bytesAfter)}`);
+});
+console.log(`   ℹ️  ${fontResult.glyphs} glyphs, ${fontResult.removed.length} unused weights skipped`);
+
+// ==============================
+// 🔖 파일명 콘텐츠 해시 (asset-manifest.json)
+// ==============================
+// 키: dist 기준 원본 경로 (assets/icons/add.svg), 값: 해시가 들어간 경로 (assets/icons/add.1a2b3c4d.svg)
+const assetManifest = {};
+
+const fingerprint = (path, content = readFileSync(`${buildDir}/${path}`)) => {
+  const hashed = hashedPath(path, content);
+  writeFileSync(`${buildDir}/${hashed}`, content);
+  if (existsSync(`${buildDir}/${path}`)) rmSync(`${buildDir}/${path}`);
+  assetManifest[path] = hashed;
+  return hashed;
+};
+
+console.log('🔖 Fingerprinting assets...');
+readdirSync(`${buildDir}/fonts`).sort().forEach(file => fingerprint(`fonts/${file}`));
+readdirSync(`${buildDir}/assets/icons`).sort()
+  .filter(file => file.endsWith('.svg'))
+  .forEach(file => fingerprint(`assets/icons/${file}`));
+
+const css = rewriteCssUrls(fontResult.css, assetManifest);
+fingerprint('app.css', css);
+
+// JavaScript 빌드 (아이콘 경로는 매니페스트를 주입해 icons/index.js에서 해석)
+console.log('📦 Building JavaScript...');
+const jsResult = await build({
+  entrypoints: ['src/app.js'],
+  outdir: buildDir,
+  naming: '[name].[hash].[ext]',
+  target: 'browser',
+  format: 'esm',
+  minify: true,
+  sourcemap: 'external',
+  define: {
+    'process.env.NODE_ENV': JSON.stringify(nodeEnv),
+    'globalThis.__ASSET_MANIFEST__': JSON.stringify(assetManifest)
+  }
+});
+
+if (!jsResult.success) {
+  throw new AggregateError(jsResult.logs, 'JavaScript 빌드에 실패했습니다');
+}
+
+const entry = jsResult.outputs.find(output => output.kind === 'entry-point');
+assetManifest['app.js'] = relative(resolve(buildDir), entry.path);
+
+console.log(`   ✅ ${Object.keys(assetManifest).length} assets`);
+
 // index.html 처리
 console.log('📄 Processing index.html...');
 let html = readFileSync('./src/index.html', 'utf8');
@@ -65,11 +152,52 @@ let html = readFileSync('./src/index.html', 'utf8');
 html = html.replace(/src="\/dist\/app\.js"/g, 'src="app.js"');
 html = html.replace(/src="\.\/app\.js"/g, 'src="app.js"');
 
-writeFileSync('./dist/index.html', html);
-writeFileSync('./dist/404.html', html);
+// 폰트 preload를 서브셋 파일로 교체 (쓰이지 않는 굵기는 제거)
+const fontPaths = new Map(fontResult.fonts.map(({ from, to }) => [from, to]));
+html = html.replace(/[ \t]*<link\b[^>]*\bas="font"[^>]*>\n?/g, (link) => {
+  const href = link.match(/href="([^"]+)"/)?.[1];
+  if (fontResult.removed.includes(href)) return '';
+  if (!fontPaths.has(href)) return link;
+  return link
+    .replace(href, fontPaths.get(href))
+    .replace(/type="font\/[\w-]+"/, 'type="font/woff2"');
+});
+
+// app.js, app.css, favicon, 폰트 preload 등을 해시 경로로 교체
+html = html.replace(/\b(href|src)="([^"#:]+)"/g, (match, attr, ref) => `${attr}="${rewriteRef(ref, assetManifest)}"`);
+
+writeFileSync(`${buildDir}/index.html`, html);
+writeFileSync(`${buildDir}/404.html`, html);
+writeFileSync(`${buildDir}/asset-manifest.json`, `${JSON.stringify(assetManifest, null, 2)}\n`);
 
 // .nojekyll 파일 생성 (GitHub Pages에서 Jekyll 처리 방지)
-writeFileSync('./dist/.nojekyll', '');
+writeFileSync(`${buildDir}/.nojekyll`, '');
+
+// 서비스 워커 및 precache 매니페스트 생성
+console.log('📴 Generating service worker...');
+const { urls: fontUrls } = findReferencedFonts(css);
+
+// index.html이 직접 참조하는 로컬 자원 (favicon, 폰트 preload 등)
+const htmlRefs = Array.from(html.matchAll(/\b(?:href|src)="([^"#:]+)"/g), ([, ref]) => ref);
+
+// SVGLoader가 요청하는 아이콘 (IntersectionObserver 미지원 시 쓰는 스프라이트 포함)
+const iconUrls = Object.entries(assetManifest)
+  .filter(([path]) => path.startsWith('assets/icons/'))
+  .map(([, hashed]) => hashed);
+
+const precacheManifest = writeServiceWorker(buildDir, [
+  'index.html',
+  assetManifest['app.js'],
+  assetManifest['app.css'],
+  ...fontUrls,
+  ...iconUrls,
+  ...htmlRefs
+]);
+console.log(`   ✅ sw.js (version ${precacheManifest.version}, ${precacheManifest.files.length} files)`);
+
+// 빌드 결과 교체
+rmSync(outDir, { recursive: true, force: true });
+renameSync(buildDir, outDir);
 
 console.log('✅ Build complete!');
 console.log('📦 Output directory: ./dist');
@@ -0,0 +1,31 @@
+/* ==============================
+  🧪 색상 계산 자체 점검 (src/color.js)
+  빌드와 별개로 실행 - 린터(lint-contrast.js)는 팔레트만 검사
+
+  사용법: bun run scripts/check-color.js
+  ============================== */
+
+import { parseGradient } from '../src/color.js';
+
+// 모서리 방향 그라디언트는 정사각형이 아닌 박스에서만 각도 오류가 드러나므로 200×100으로 확인
+const GRADIENT_ANGLE_CHECKS = [
+  { direction: 'to bottom right', expected: 153.43 },
+  { direction: 'to top right', expected: 26.57 },
+  { direction: 'to bottom left', expected: 206.57 },
+  { direction: 'to top left', expected: 333.43 }
+];
+
+const failures = GRADIENT_ANGLE_CHECKS.flatMap(({ direction, expected }) => {
+  const { angle } = parseGradient(`linear-gradient(${direction}, #000, #fff)`, { width: 200, height: 100 });
+  return Math.abs(angle - expected) > 0.01
+    ? [`${direction} (200×100) = ${angle.toFixed(2)}°, 기대값 ${expected}°`]
+    : [];
+});
+
+if (failures.length > 0) {
+  console.error(`❌ 그라디언트 방향 계산 오류 ${failures.length}건`);
+  failures.forEach(failure => console.error(`   - ${failure}`));
+  process.exit(1);
+}
+
+console.log(`✅ 그라디언트 방향 계산 ${GRADIENT_ANGLE_CHECKS.length}건 통과`);
@@ -0,0 +1,91 @@
+/* ==============================
+  🔎 아이콘 참조 검사
+  src/index.html과 src 하위 .js 파일의 아이콘 키 참조를 icons.json과 대조
+  - 존재하지 않는 아이콘 키 참조 → 실패 (종료 코드 1)
+  - 한 번도 참조되지 않는 아이콘 → 목록만 출력
+
+  사용법: bun run scripts/check-icons.js
+  ============================== */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const srcDir = join(__dirname, '../src');
+const iconDir = join(srcDir, 'icons');
+const metadataFile = join(iconDir, 'icons.json');
+
+if (!existsSync(metadataFile)) {
+  console.error('❌ src/icons/icons.json이 없습니다. 먼저 bun run update-icons를 실행하세요.');
+  process.exit(2);
+}
+
+const { icons } = JSON.parse(readFileSync(metadataFile, 'utf8'));
+const knownKeys = new Set(Object.keys(icons));
+
+// ==============================
+// 📄 참조 수집
+// ==============================
+
+// 코드에서 정적으로 확인할 수 있는 아이콘 참조 형태
+const REFERENCE_PATTERNS = [
+  /data-icon=\\?["']([\w-]+)\\?["']/g,              // 마크업, 선택자 [data-icon="key"]
+  /\bdataset\.icon\s*=\s*['"]([\w-]+)['"]/g,         // el.dataset.icon = 'key'
+  /\bicon\s*:\s*['"]([\w-]+)['"]/g,                   // ButtonSystem.create({ icon: 'key' })
+  /assets\/icons\/([\w-]+)\.svg/g                     // 파일 경로 직접 참조 (favicon 등)
+];
+
+// 주석 안의 예시 참조는 제외 (행 번호 유지를 위해 줄바꿈은 남김)
+// 문자열 안의 //(URL 등)는 앞에 공백이 없으므로 유지
+const keepNewlines = (comment) => comment.replace(/[^\n]/g, '');
+const stripComments = (source, file) => file.endsWith('.html')
+  ? source.replace(/<!--[\s\S]*?-->/g, keepNewlines)
+  : source.replace(/\/\*[\s\S]*?\*\//g, keepNewlines).replace(/(^|\s)\/\/.*$/gm, '$1');
+
+const lineOf = (source, index) => source.slice(0, index).split('\n').length;
+
+// 생성 파일이 있는 icons/ 디렉토리는 제외
+const collectFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+  const path = join(dir, entry.name);
+  if (entry.isDirectory()) return path === iconDir ? [] : collectFiles(path);
+  return /\.(js|html)$/.test(entry.name) ? [path] : [];
+});
+
+const references = [];
+
+for (const file of collectFiles(srcDir)) {
+  const source = stripComments(readFileSync(file, 'utf8'), file);
+  for (const pattern of REFERENCE_PATTERNS) {
+    for (const match of source.matchAll(pattern)) {
+      references.push({ key: match[1], file: relative(join(__dirname, '..'), file), line: lineOf(source, match.index) });
+    }
+  }
+}
+
+// ==============================
+// 📊 결과 출력
+// ==============================
+
+// 런타임이 암묵적으로 사용하는 아이콘 (icons/index.js의 fallbackIcon)
+const implicitKeys = new Set(['placeholder']);
+
+const unknown = references.filter(({ key }) => !knownKeys.has(key));
+const referenced = new Set(references.map(({ key }) => key));
+const unused = [...knownKeys].filter(key => !referenced.has(key) && !implicitKeys.has(key));
+
+console.log(`🔎 아이콘 참조 검사 (아이콘 ${knownKeys.size}개, 참조 ${references.length}건)`);
+
+if (unused.length > 0) {
+  console.log(`ℹ️  참조되지 않는 아이콘 ${unused.length}개: ${unused.join(', ')}`);
+}
+
+if (unknown.length > 0) {
+  console.error(`❌ 존재하지 않는 아이콘 참조 ${unknown.length}건`);
+  unknown.forEach(({ key, file, line }) => console.error(`   - ${file}:${line} "${key}"`));
+  process.exit(1);
+}
+
+console.log('✅ 모든 아이콘 참조가 유효합니다');
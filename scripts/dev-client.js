@@ -0,0 +1,195 @@
+/* ==============================
+  🔁 개발 서버 클라이언트 (라이브 리로드 + 오류 오버레이)
+  server.js가 HTML 응답의 </head> 앞에 인라인으로 주입 (dist에는 포함되지 않음)
+  - { type: 'css', href }          → 스타일시트만 교체 후 버튼 동적 스타일 재계산
+  - { type: 'reload' }             → 전체 새로고침
+  - { type: 'build-error', errors } → 다음 빌드 성공 전까지 오류 오버레이 표시
+  - system:error 이벤트(ButtonSystem.init() 실패)도 같은 오버레이에 표시
+  ============================== */
+
+(() => {
+  const ENDPOINT = '/__dev';
+  const RETRY_INTERVAL = 1000;
+  const SYSTEM_ERROR_EVENT = 'system:error';
+
+  let connectedOnce = false;
+
+  // ==============================
+  // 🚨 오류 오버레이
+  // ==============================
+
+  const overlay = {
+    host: null,
+    buildErrors: [],
+    runtimeErrors: [],
+
+    styles: `
+      :host { all: initial; }
+      .backdrop {
+        position: fixed; inset: 0; z-index: 2147483647; overflow: auto;
+        padding: 32px; background: rgb(0 0 0 / 0.85); color: #f5f5f5;
+        font: 14px/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+      }
+      .panel { max-width: 960px; margin: 0 auto; }
+      header { display: flex; justify-content: space-between; align-items: center; gap: 16px; }
+      h1 { margin: 0; font-size: 18px; color: #ff6b6b; }
+      button {
+        padding: 4px 12px; border: 1px solid #888; border-radius: 4px;
+        background: transparent; color: inherit; font: inherit; cursor: pointer;
+      }
+      section { margin-top: 24px; padding: 16px; border-left: 4px solid #ff6b6b; background: rgb(255 255 255 / 0.06); }
+      .message { margin: 0; font-weight: 700; white-space: pre-wrap; }
+      .location { margin: 4px 0 0; color: #ffd166; }
+      pre { margin: 12px 0 0; padding: 12px; overflow-x: auto; background: rgb(0 0 0 / 0.5); }
+      .hint { margin-top: 24px; color: #aaa; }
+    `,
+
+    element(tag, className, text) {
+      const el = document.createElement(tag);
+      if (className) el.className = className;
+      if (text) el.textContent = text;
+      return el;
+    },
+
+    createEntry({ message, file, line, column, frame, stack }) {
+      const section = this.element('section');
+      section.append(this.element('p', 'message', message));
+      if (file) {
+        const location = [file, line, column].filter(part => part !== null && part !== undefined).join(':');
+        section.append(this.element('p', 'location', location));
+      }
+      if (frame || stack) section.append(this.element('pre', null, frame || stack));
+      return section;
+    },
+
+    render() {
+      const entries = [...this.buildErrors, ...this.runtimeErrors];
+
+      if (entries.length === 0) {
+        this.host?.remove();
+        this.host = null;
+        return;
+      }
+
+      if (!this.host) {
+        this.host = document.createElement('div');
+        this.host.attachShadow({ mode: 'open' });
+      }
+
+      const root = this.host.shadowRoot;
+      root.replaceChildren();
+      root.append(this.element('style', null, this.styles));
+
+      const backdrop = this.element('div', 'backdrop');
+      backdrop.setAttribute('role', 'alertdialog');
+      backdrop.setAttribute('aria-label', '개발 오류');
+      const panel = this.element('div', 'panel');
+
+      const header = this.element('header');
+      const title = this.buildErrors.length > 0 ? '빌드 실패 - 이전 빌드를 표시 중' : '런타임 오류';
+      const close = this.element('button', null, '닫기 (Esc)');
+      close.addEventListener('click', () => this.dismiss());
+      header.append(this.element('h1', null, `🚨 ${title}`), close);
+      panel.append(header);
+
+      entries.forEach(error => panel.append(this.createEntry(error)));
+
+      if (this.buildErrors.length > 0) {
+        panel.append(this.element('p', 'hint', '파일을 고쳐 저장하면 다시 빌드하고, 성공하면 이 화면이 사라집니다.'));
+      }
+
+      backdrop.append(panel);
+      root.append(backdrop);
+      if (!this.host.isConnected) document.documentElement.append(this.host);
+    },
+
+    showBuildErrors(errors) {
+      this.buildErrors = errors;
+      this.render();
+    },
+
+    clearBuildErrors() {
+      this.buildErrors = [];
+      this.render();
+    },
+
+    showRuntimeError(error) {
+      this.runtimeErrors.push({
+        message: error?.message ?? String(error),
+        stack: error?.stack ?? null
+      });
+      this.render();
+    },
+
+    dismiss() {
+      this.buildErrors = [];
+      this.runtimeErrors = [];
+      this.render();
+    }
+  };
+
+  document.addEventListener(SYSTEM_ERROR_EVENT, (event) => overlay.showRuntimeError(event.detail.error));
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && overlay.host) overlay.dismiss();
+  });
+
+  // ==============================
+  // 🎨 스타일시트 교체
+  // ==============================
+
+  const isAppStylesheet = (link) => /(^|\/)app(\.[\w-]+)?\.css$/.test(new URL(link.href).pathname);
+
+  // 새 <link>가 로드된 뒤 이전 것을 제거해 스타일 없는 순간(FOUC)을 막음
+  const swapStylesheet = (href) => {
+    const current = [...document.querySelectorAll('link[rel="stylesheet"]')].filter(isAppStylesheet);
+    if (current.length === 0) {
+      window.location.reload();
+      return;
+    }
+
+    const next = current[0].cloneNode();
+    next.href = href;
+    next.addEventListener('load', () => {
+      current.forEach(link => link.remove());
+      // 크기·대비가 CSS 변수에 의존하므로 교체 후 다시 측정
+      window.ButtonSystem?.StyleManager.applyDynamicStyles();
+      window.ButtonSystem?.StyleManager.scheduleUpdate();
+      console.log(`🎨 [dev] 스타일시트 교체: ${href}`);
+    }, { once: true });
+    next.addEventListener('error', () => window.location.reload(), { once: true });
+    current.at(-1).after(next);
+  };
+
+  // ==============================
+  // 🔌 WebSocket 연결
+  // ==============================
+
+  const handleMessage = ({ data }) => {
+    const message = JSON.parse(data);
+    if (message.type === 'build-error') overlay.showBuildErrors(message.errors);
+    if (message.type === 'css') {
+      overlay.clearBuildErrors();
+      swapStylesheet(message.href);
+    }
+    if (message.type === 'reload') window.location.reload();
+  };
+
+  const connect = () => {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}${ENDPOINT}`);
+
+    socket.addEventListener('open', () => {
+      // 서버 재시작 후 다시 연결되면 그 사이 빌드가 바뀌었을 수 있으므로 새로고침
+      if (connectedOnce) {
+        window.location.reload();
+        return;
+      }
+      connectedOnce = true;
+      console.log('🔁 [dev] 라이브 리로드 연결됨');
+    });
+    socket.addEventListener('message', handleMessage);
+    socket.addEventListener('close', () => setTimeout(connect, RETRY_INTERVAL));
+  };
+
+  connect();
+})();
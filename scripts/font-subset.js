@@ -0,0 +1,184 @@
+/* ==============================
+  🔤 폰트 서브셋 모듈
+  app.css에서 실제로 쓰이는 굵기의 폰트만 골라
+  라벨 글자 + 설정된 한글/라틴 범위로 줄인 WOFF2 파일을 생성하고 @font-face 규칙을 교체
+
+  설정: src/fonts/subset.json
+  ============================== */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname, basename, extname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { z } from 'zod';
+import subsetFont from 'subset-font';
+import { parseFontFaces, findUsedWeights } from './font-usage.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// 같은 폰트·글자 조합은 다시 만들지 않음 (개발 서버 재빌드 속도)
+const CACHE_DIR = join(__dirname, '../node_modules/.cache/font-subset');
+
+const subsetConfigSchema = z.object({
+  ranges: z.array(z.string().regex(/^U\+[0-9A-F]{1,6}(-[0-9A-F]{1,6})?$/i, '유니코드 범위는 U+XXXX 또는 U+XXXX-YYYY 형식이어야 합니다')).default([]),
+  hangul: z.enum(['ks-x-1001', 'all', 'none']).default('ks-x-1001'),
+  text: z.string().default('')
+});
+
+export const readSubsetConfig = (file) => {
+  if (!existsSync(file)) return subsetConfigSchema.parse({});
+  const { $comment, ...config } = JSON.parse(readFileSync(file, 'utf8'));
+  const result = subsetConfigSchema.safeParse(config);
+  if (!result.success) {
+    throw new Error(`폰트 서브셋 설정이 올바르지 않습니다 (${file}): ${result.error.issues.map(issue => issue.message).join(', ')}`);
+  }
+  return result.data;
+};
+
+// ==============================
+// 🔡 포함할 글자 수집
+// ==============================
+
+const fromCodePoints = (start, end) => {
+  let text = '';
+  for (let code = start; code <= end; code++) text += String.fromCodePoint(code);
+  return text;
+};
+
+// 'U+AC00-D7A3' → 범위의 모든 글자
+const expandRange = (range) => {
+  const [start, end = start] = range.slice(2).split('-').map(hex => parseInt(hex, 16));
+  return fromCodePoints(start, end);
+};
+
+// KS X 1001 완성형 한글 2,350자 (EUC-KR 0xB0A1 ~ 0xC8FE)
+const ksX1001Hangul = () => {
+  const decoder = new TextDecoder('euc-kr');
+  let text = '';
+  for (let lead = 0xB0; lead <= 0xC8; lead++) {
+    for (let trail = 0xA1; trail <= 0xFE; trail++) {
+      text += decoder.decode(new Uint8Array([lead, trail]));
+    }
+  }
+  return text.replace(/[^가-힣]/g, '');
+};
+
+const HANGUL_SETS = {
+  'ks-x-1001': ksX1001Hangul,
+  all: () => fromCodePoints(0xAC00, 0xD7A3),
+  none: () => ''
+};
+
+// 주석은 제외하고 마크업·문자열에 쓰인 글자만 (생성 파일이 있는 icons/ 제외)
+const stripComments = (source, file) => file.endsWith('.html')
+  ? source.replace(/<!--[\s\S]*?-->/g, '')
+  : source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|\s)\/\/.*$/gm, '$1');
+
+const collectSourceFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+  const path = join(dir, entry.name);
+  if (entry.isDirectory()) return entry.name === 'icons' ? [] : collectSourceFiles(path);
+  return /\.(js|html)$/.test(entry.name) ? [path] : [];
+});
+
+export const collectLabelText = (srcDir) => collectSourceFiles(srcDir)
+  .map(file => stripComments(readFileSync(file, 'utf8'), file))
+  .join('');
+
+// 라벨 글자 + 설정 범위, 중복 제거 후 코드 포인트 순 정렬
+export const resolveSubsetText = (srcDir, config) => {
+  const text = [
+    collectLabelText(srcDir),
+    ...config.ranges.map(expandRange),
+    HANGUL_SETS[config.hangul](),
+    config.text
+  ].join('');
+
+  return [...new Set(text)]
+    .filter(char => !/[\u0000-\u001F\u007F]/.test(char))
+    .sort((a, b) => a.codePointAt(0) - b.codePointAt(0))
+    .join('');
+};
+
+// ==============================
+// 🏗️ 서브셋 생성
+// ==============================
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const subsetCached = async (source, text) => {
+  const key = createHash('sha256').update(source).update(text).digest('hex').slice(0, 16);
+  const cacheFile = join(CACHE_DIR, `${key}.woff2`);
+  if (existsSync(cacheFile)) return readFileSync(cacheFile);
+
+  const output = await subsetFont(source, text, { targetFormat: 'woff2' });
+  mkdirSync(CACHE_DIR, { recursive: true });
+  writeFileSync(cacheFile, output);
+  return output;
+};
+
+// fonts/Pretendard-Bold.otf → fonts/Pretendard-Bold.woff2
+const toWoff2Path = (from) => from.replace(/[^/]+$/, `${basename(from, extname(from))}.woff2`);
+
+const removeFace = (css, face) => css.replace(new RegExp(`[ \\t]*${escapeRegExp(face.rule)}\\s*`), '');
+
+const replaceFontSrc = (css, face, to) =>
+  css.replace(face.rule, face.rule.replace(/src\s*:[^;]+;/i, `src: url('${to}') format('woff2');`));
+
+const firstUrl = (face) => {
+  if (!face.urls[0]) throw new Error(`@font-face에 url()이 없습니다: ${face.family} ${face.weight}`);
+  return face.urls[0];
+};
+
+// css: app.css 원문, cssDir 기준 상대 경로의 폰트를 읽어 outFontDir에 .woff2로 출력
+// 반환: { css, fonts: [{ from, to, weight, bytesBefore, bytesAfter }], removed: [from...], glyphs }
+export const subsetFonts = async ({ css, cssDir, srcDir, outFontDir, configFile }) => {
+  const config = readSubsetConfig(configFile);
+  const text = resolveSubsetText(srcDir, config);
+  const weights = new Set(findUsedWeights(css));
+
+  mkdirSync(outFontDir, { recursive: true });
+
+  const fonts = [];
+  const removed = [];
+  let output = css;
+
+  for (const face of parseFontFaces(css)) {
+    if (!weights.has(face.weight)) {
+      output = removeFace(output, face);
+      removed.push(...face.urls);
+      continue;
+    }
+
+    const from = firstUrl(face);
+    const to = toWoff2Path(from);
+    const source = readFileSync(join(cssDir, from));
+    const woff2 = await subsetCached(source, text);
+    writeFileSync(join(outFontDir, basename(to)), woff2);
+
+    output = replaceFontSrc(output, face, to);
+    fonts.push({ from, to, weight: face.weight, bytesBefore: source.length, bytesAfter: woff2.length });
+  }
+
+  return { css: output, fonts, removed, glyphs: [...text].length };
+};
+
+// 서브셋 파일을 다시 만들지 않고 @font-face 교체만 (scripts/build-css.js)
+// 반환: { css, fonts: [to...] } - fonts는 이 CSS에 필요한 .woff2 경로
+export const rewriteFontFaces = (css) => {
+  const weights = new Set(findUsedWeights(css));
+  const fonts = [];
+  let output = css;
+
+  for (const face of parseFontFaces(css)) {
+    if (!weights.has(face.weight)) {
+      output = removeFace(output, face);
+      continue;
+    }
+
+    const to = toWoff2Path(firstUrl(face));
+    output = replaceFontSrc(output, face, to);
+    fonts.push(to);
+  }
+
+  return { css: output, fonts };
+};
@@ -0,0 +1,87 @@
+/* ==============================
+  🔤 CSS 폰트 사용 분석 모듈
+  app.css의 @font-face 규칙과 실제로 쓰이는 font-weight를 대조해
+  빌드에 필요한 폰트 파일만 골라냄
+  ============================== */
+
+const WEIGHT_KEYWORDS = { normal: 400, bold: 700 };
+
+// font 단축 속성에서 font-size 앞에 올 수 있는 토큰 (style, variant, weight, stretch)
+const SHORTHAND_PREFIX = /^(normal|italic|oblique|small-caps|bold|bolder|lighter|\d{1,4}|(ultra-|extra-|semi-)?(condensed|expanded))$/i;
+
+const stripComments = (css) => css.replace(/\/\*[\s\S]*?\*\//g, '');
+
+// 선언 목록 (선택자·중첩 구조는 무시하고 property: value만 추출)
+const collectDeclarations = (css) => Array.from(
+  stripComments(css).matchAll(/([-\w]+)\s*:\s*([^;{}]+);/g),
+  ([, property, value]) => ({ property: property.toLowerCase(), value: value.trim() })
+);
+
+// var(--x) 치환 (같은 이름이 여러 번 선언되면 모든 후보 값을 반환)
+const resolveValues = (value, customProperties, depth = 0) => {
+  const match = value.match(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]*))?\)/);
+  if (!match || depth > 10) return [value];
+
+  const [token, name, fallback] = match;
+  const candidates = customProperties.get(name) ?? (fallback !== undefined ? [fallback.trim()] : []);
+  return candidates.flatMap(candidate =>
+    resolveValues(value.replace(token, candidate), customProperties, depth + 1));
+};
+
+const parseWeight = (token) => {
+  const keyword = WEIGHT_KEYWORDS[token?.toLowerCase()];
+  if (keyword) return keyword;
+  const number = Number(token);
+  return Number.isInteger(number) && number >= 1 && number <= 1000 ? number : null;
+};
+
+// @font-face 규칙 목록: [{ family, weight, style, urls, rule, order }]
+export const parseFontFaces = (css) => Array.from(
+  css.matchAll(/@font-face\s*\{([^}]*)\}/g),
+  ([rule, body], order) => {
+    const get = (property) => body.match(new RegExp(`${property}\\s*:\\s*([^;]+);`, 'i'))?.[1].trim();
+    return {
+      family: get('font-family')?.replace(/['"]/g, ''),
+      weight: parseWeight(get('font-weight')) ?? 400,
+      style: get('font-style') ?? 'normal',
+      urls: Array.from(body.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g), ([, url]) => url),
+      rule,
+      order
+    };
+  }
+);
+
+// font-weight / font 단축 속성에서 사용되는 굵기 수집 (지정이 없으면 400)
+export const findUsedWeights = (css) => {
+  const declarations = collectDeclarations(css.replace(/@font-face\s*\{[^}]*\}/g, ''));
+
+  const customProperties = new Map();
+  declarations
+    .filter(({ property }) => property.startsWith('--'))
+    .forEach(({ property, value }) => {
+      customProperties.set(property, [...(customProperties.get(property) ?? []), value]);
+    });
+
+  const weights = new Set([400]);
+  declarations.forEach(({ property, value }) => {
+    if (property !== 'font-weight' && property !== 'font') return;
+
+    resolveValues(value, customProperties).forEach(resolved => {
+      const tokens = resolved.split(/\s+/);
+      // 단축 속성은 font-size 앞의 style/variant/weight 토큰에서만 굵기를 찾음
+      const weight = property === 'font-weight'
+        ? parseWeight(tokens[0])
+        : tokens.slice(0, tokens.findIndex(token => !SHORTHAND_PREFIX.test(token))).map(parseWeight).find(Boolean);
+      if (weight) weights.add(weight);
+    });
+  });
+
+  return [...weights].sort((a, b) => a - b);
+};
+
+// 실제로 쓰이는 굵기의 @font-face와 폰트 파일 URL
+export const findReferencedFonts = (css) => {
+  const weights = new Set(findUsedWeights(css));
+  const faces = parseFontFaces(css).filter(face => weights.has(face.weight));
+  return { weights: [...weights], faces, urls: [...new Set(faces.flatMap(face => face.urls))] };
+};
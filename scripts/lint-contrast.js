@@ -0,0 +1,247 @@
+/* ==============================
+  ♿ 팔레트 명도대비 린터 (브라우저 불필요)
+  app.css의 사용자 정의 속성을 해석해 팔레트별
+  *-content-color-* / *-background-color-* 대비를 검사
+  중첩 배경(primary3/secondary3)은 background1 위 background2 그라디언트 중 가장 낮은 대비로 판정
+  
+  사용법: bun run scripts/lint-contrast.js [--min=4.5] [--include-disabled]
+  환경 변수: CONTRAST_MIN_RATIO, CONTRAST_INCLUDE_DISABLED=true
+  ============================== */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  parseColor, parseGradient, sampleGradient, gradientRange,
+  contrastRatio, compositeColors, formatColor, WHITE
+} from '../src/color.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const cssFile = join(__dirname, '../src/app.css');
+
+// ==============================
+// ⚙️ 설정
+// ==============================
+
+const getArg = (name) => process.argv.find(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+
+// 기본값 3.0: 버튼 라벨(2.5rem, 600)은 WCAG 큰 텍스트이므로 AA 기준 3:1
+const minArg = getArg('min');
+const minRatio = parseFloat(minArg?.split('=')[1] ?? process.env.CONTRAST_MIN_RATIO ?? '3');
+// 비활성(disabled) 컨트롤은 WCAG 1.4.3 예외이므로 기본적으로 보고만 하고 실패 처리하지 않음
+const includeDisabled = !!getArg('include-disabled') || process.env.CONTRAST_INCLUDE_DISABLED === 'true';
+
+if (Number.isNaN(minRatio) || minRatio < 1 || minRatio > 21) {
+  console.error(`❌ 잘못된 최소 명도대비 값: ${minArg ?? process.env.CONTRAST_MIN_RATIO}`);
+  process.exit(2);
+}
+
+// ==============================
+// 📄 CSS 사용자 정의 속성 수집
+// ==============================
+
+// :root / .dark / .high-contrast 규칙(레이어 내부 포함)의 --* 선언만 수집
+// 선택자 목록(:root, .light)은 각 선택자에 모두 반영
+const collectCustomProperties = (css) => {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const blocks = { ':root': {}, '.dark': {}, '.high-contrast': {} };
+  const stack = [];
+  let selector = '';
+  let body = '';
+  
+  for (const char of source) {
+    if (char === '{') {
+      stack.push({ selector: selector.trim(), body });
+      selector = '';
+      body = '';
+    } else if (char === '}') {
+      const block = stack.pop();
+      const targets = block ? block.selector.split(',').map(s => s.trim()).filter(s => blocks[s]) : [];
+      for (const target of targets) {
+        for (const [, name, value] of body.matchAll(/(--[\w-]+)\s*:\s*([^;]+);/g)) {
+          blocks[target][name] = value.trim();
+        }
+      }
+      selector = '';
+      body = block ? block.body : '';
+    } else if (char === ';') {
+      body += selector + char;
+      selector = '';
+    } else {
+      selector += char;
+    }
+  }
+  
+  return blocks;
+};
+
+// var(--x, fallback) 체인을 끝까지 따라가 최종 값 반환
+const resolveValue = (value, vars, seen = new Set()) => value.replace(
+  /var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\))?[^()]*))?\)/g,
+  (_, name, fallback) => {
+    if (seen.has(name)) throw new Error(`순환 참조: ${[...seen, name].join(' → ')}`);
+    if (vars[name] !== undefined) return resolveValue(vars[name], vars, new Set([...seen, name]));
+    if (fallback !== undefined) return resolveValue(fallback.trim(), vars, seen);
+    throw new Error(`정의되지 않은 변수: ${name}`);
+  }
+);
+
+// ==============================
+// 🔍 검사
+// ==============================
+
+const {
+  ':root': rootVars,
+  '.dark': darkVars,
+  '.high-contrast': highContrastVars
+} = collectCustomProperties(readFileSync(cssFile, 'utf8'));
+const themes = {
+  light: rootVars,
+  dark: { ...rootVars, ...darkVars },
+  'high-contrast': { ...rootVars, ...highContrastVars }
+};
+
+// --{palette}-content-color-{state} 형태에서 팔레트와 상태 추출
+const pairs = Object.keys(rootVars)
+  .map(name => name.match(/^--([a-z0-9]+)-content-color-([a-z]+)$/))
+  .filter(Boolean)
+  .map(([name, palette, state]) => ({ palette, state, content: name }));
+
+// calc(1rem * 16) 같은 곱셈만으로 된 길이를 rem 값으로 (해석할 수 없으면 null)
+const toRem = (value) => {
+  const factors = value.replace(/calc\(|\)/g, '').split('*').map(part => part.trim());
+  let rem = 1;
+  for (const factor of factors) {
+    const match = factor.match(/^(-?[\d.]+)(rem)?$/);
+    if (!match) return null;
+    rem *= parseFloat(match[1]);
+  }
+  return rem;
+};
+
+// .background2 레이어(버튼 하단 65%, app.css) 안에서 아이콘 + 라벨이 세로 가운데 정렬되어 차지하는 영역
+// 토큰으로 크기를 알 수 없으면 레이어 전체를 대상으로 함
+const BACKGROUND2_HEIGHT_RATIO = 0.65;
+
+const layeredContentBox = (vars) => {
+  const buttonHeight = toRem(resolveValue('var(--button-height)', vars));
+  const iconSize = toRem(resolveValue('var(--icon-size)', vars));
+  const fontSize = toRem(resolveValue('var(--font-size)', vars));
+  const lineHeight = parseFloat(resolveValue('var(--line-height-label)', vars));
+  
+  const height = (buttonHeight ?? 1) * BACKGROUND2_HEIGHT_RATIO;
+  const layer = { left: 0, top: 0, right: 1, bottom: height, width: 1, height };
+  if ([buttonHeight, iconSize, fontSize, lineHeight].some(v => v === null || Number.isNaN(v))) {
+    return { layer, content: layer };
+  }
+  
+  const contentHeight = Math.min(height, iconSize + fontSize * lineHeight);
+  const top = (height - contentHeight) / 2;
+  return { layer, content: { left: 0, top, right: 1, bottom: top + contentHeight, width: 1, height: contentHeight } };
+};
+
+// 중첩 배경 팔레트(primary3/secondary3)의 텍스트는 .background2 위에 놓임
+// 콘텐츠 영역이 덮는 .background2 그라디언트 구간의 극값 색상(구간 양 끝 + 사이의 정지점)을
+// background1 위에 합성한 후보 배경 목록으로 최악의 대비를 판정
+const layeredBackgrounds = (palette, state, vars, backdrop) => {
+  const background1 = `--${palette}-background1-color-${state}`;
+  // background2 상태 값이 없으면 CSS와 같이 default 값을 사용
+  const background2 = [`--${palette}-background2-color-${state}`, `--${palette}-background2-color-default`]
+    .find(name => vars[name] !== undefined);
+  if (!background2) throw new Error(`${palette}: background2 색상이 정의되지 않았습니다`);
+  
+  const base = compositeColors(parseColor(resolveValue(vars[background1], vars)), backdrop);
+  const value = resolveValue(vars[background2], vars);
+  const { layer, content } = layeredContentBox(vars);
+  const gradient = parseGradient(value, layer);
+  const layers = gradient
+    ? sampleGradient(gradient, gradientRange(gradient, layer, content))
+    : [parseColor(value)];
+  
+  return { name: background2, colors: layers.map(color => compositeColors(color, base)) };
+};
+
+const rows = [];
+
+for (const [theme, vars] of Object.entries(themes)) {
+  // 투명 배경은 쇼케이스 행 배경 위에 합성
+  const backdrop = compositeColors(parseColor(resolveValue('var(--body2-background-color)', vars)), WHITE);
+  
+  for (const { palette, state, content } of pairs) {
+    const background = `--${palette}-background-color-${state}`;
+    const layered = vars[background] === undefined;
+    if (layered && vars[`--${palette}-background1-color-${state}`] === undefined) continue;
+    
+    const row = { theme, palette, state, content, background, ratio: null, status: '' };
+    try {
+      const fg = parseColor(resolveValue(vars[content], vars));
+      let candidates;
+      if (layered) {
+        const { name, colors } = layeredBackgrounds(palette, state, vars, backdrop);
+        row.background = name;
+        candidates = colors;
+      } else {
+        candidates = [compositeColors(parseColor(resolveValue(vars[background], vars)), backdrop)];
+      }
+      // 후보 배경 중 대비가 가장 낮은 색으로 판정
+      const [bg, ratio] = candidates
+        .map(color => [color, contrastRatio(fg, color)])
+        .reduce((worst, entry) => entry[1] < worst[1] ? entry : worst);
+      row.ratio = ratio;
+      row.fg = formatColor(fg);
+      row.bg = formatColor(bg);
+      const exempt = state === 'disabled' && !includeDisabled;
+      row.status = row.ratio >= minRatio ? 'pass' : exempt ? 'exempt' : 'fail';
+    } catch (error) {
+      row.status = 'error';
+      row.error = error.message;
+    }
+    rows.push(row);
+  }
+}
+
+// ==============================
+// 📊 결과 출력
+// ==============================
+
+// 기준값 근처에서 반올림으로 통과처럼 보이지 않도록 소수 둘째 자리 버림
+const formatRatio = (ratio) => (Math.floor(ratio * 100) / 100).toFixed(2);
+
+const STATUS_LABELS = { pass: 'pass', fail: 'FAIL', exempt: 'exempt', error: 'ERROR' };
+
+const table = [
+  ['theme', 'palette', 'state', 'ratio', 'status', 'content', 'background'],
+  ...rows.map(row => [
+    row.theme,
+    row.palette,
+    row.state,
+    row.ratio === null ? '-' : formatRatio(row.ratio),
+    STATUS_LABELS[row.status],
+    row.fg ?? row.error ?? '-',
+    row.bg ?? ''
+  ])
+];
+const widths = table[0].map((_, i) => Math.max(...table.map(cells => [...cells[i]].length)));
+const formatRow = (cells) => cells.map((cell, i) => cell + ' '.repeat(widths[i] - [...cell].length)).join('  ');
+
+console.log(`🔍 팔레트 명도대비 검사 (최소 ${minRatio}:1${includeDisabled ? ', disabled 포함' : ''})`);
+console.log('');
+console.log(formatRow(table[0]));
+console.log(widths.map(width => '-'.repeat(width)).join('  '));
+table.slice(1).forEach(cells => console.log(formatRow(cells)));
+console.log('');
+
+const failures = rows.filter(row => row.status === 'fail' || row.status === 'error');
+
+if (failures.length > 0) {
+  console.error(`❌ 명도대비 기준 미달 ${failures.length}건 / 전체 ${rows.length}건`);
+  failures.forEach(row => {
+    const detail = row.error ?? `${formatRatio(row.ratio)}:1 < ${minRatio}:1`;
+    console.error(`   - [${row.theme}] ${row.content} / ${row.background}: ${detail}`);
+  });
+  process.exit(1);
+}
+
+console.log(`✅ 모든 팔레트가 ${minRatio}:1 기준을 통과했습니다 (${rows.length}건)`);
@@ -0,0 +1,289 @@
+/* ==============================
+  🧹 SVG 검증 및 최적화 모듈
+  update-icons.js(메타데이터)와 build.js(배포 파일)에서 사용 - 외부 의존성 없는 최소 XML 파서 기반
+  ============================== */
+
+// 디자인 툴이 남기는 편집기 전용 네임스페이스
+const EDITOR_PREFIXES = ['sodipodi', 'inkscape', 'sketch', 'figma', 'serif', 'i', 'x', 'a', 'graph'];
+
+// 렌더링에 영향이 없는 요소
+const REMOVED_ELEMENTS = new Set(['metadata', 'title', 'desc']);
+
+// 렌더링에 영향이 없는 속성
+const REMOVED_ATTRIBUTES = new Set(['version', 'data-name', 'xml:space', 'enable-background', 'baseProfile']);
+
+// 소수점 자리수를 줄일 숫자 속성
+const NUMERIC_ATTRIBUTES = new Set([
+  'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy',
+  'width', 'height', 'stroke-width', 'opacity', 'fill-opacity', 'stroke-opacity', 'offset'
+]);
+
+// 보안상 아이콘에 허용하지 않는 요소
+const FORBIDDEN_ELEMENTS = new Set(['script', 'foreignObject', 'iframe']);
+
+const PRECISION = 3;
+
+// ==============================
+// 📄 파싱
+// ==============================
+
+const lineOf = (source, index) => source.slice(0, index).split('\n').length;
+
+const fail = (source, index, message) => {
+  throw new Error(`${message} (${lineOf(source, index)}행)`);
+};
+
+const ATTRIBUTE_PATTERN = /\s+([A-Za-z_:][-\w.:]*)\s*=\s*(?:"([^"<]*)"|'([^'<]*)')/y;
+
+// 요소/텍스트 트리로 파싱 - 잘못된 마크업은 행 번호와 함께 예외
+export const parseSvg = (source) => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let index = 0;
+
+  const current = () => stack[stack.length - 1];
+
+  while (index < source.length) {
+    if (source.startsWith('<!--', index)) {
+      const end = source.indexOf('-->', index + 4);
+      if (end === -1) fail(source, index, '닫히지 않은 주석');
+      index = end + 3;
+    } else if (source.startsWith('<?', index)) {
+      const end = source.indexOf('?>', index + 2);
+      if (end === -1) fail(source, index, '닫히지 않은 처리 명령');
+      index = end + 2;
+    } else if (source.startsWith('<!DOCTYPE', index) || source.startsWith('<!doctype', index)) {
+      const end = source.indexOf('>', index);
+      if (end === -1) fail(source, index, '닫히지 않은 DOCTYPE');
+      index = end + 1;
+    } else if (source.startsWith('<![CDATA[', index)) {
+      const end = source.indexOf(']]>', index);
+      if (end === -1) fail(source, index, '닫히지 않은 CDATA');
+      current().children.push({ type: 'text', value: source.slice(index, end + 3) });
+      index = end + 3;
+    } else if (source.startsWith('</', index)) {
+      const match = source.slice(index).match(/^<\/([A-Za-z_:][-\w.:]*)\s*>/);
+      if (!match) fail(source, index, '잘못된 닫는 태그');
+      const element = current();
+      if (element.type !== 'element' || element.name !== match[1]) {
+        fail(source, index, `짝이 맞지 않는 닫는 태그 </${match[1]}>`);
+      }
+      stack.pop();
+      index += match[0].length;
+    } else if (source[index] === '<') {
+      const nameMatch = source.slice(index).match(/^<([A-Za-z_:][-\w.:]*)/);
+      if (!nameMatch) fail(source, index, '잘못된 여는 태그');
+
+      const element = { type: 'element', name: nameMatch[1], attributes: {}, children: [] };
+      let cursor = index + nameMatch[0].length;
+
+      ATTRIBUTE_PATTERN.lastIndex = cursor;
+      let attribute;
+      while ((attribute = ATTRIBUTE_PATTERN.exec(source))) {
+        const [, name, doubleQuoted, singleQuoted] = attribute;
+        if (name in element.attributes) fail(source, cursor, `중복 속성 ${name}`);
+        element.attributes[name] = doubleQuoted ?? singleQuoted;
+        cursor = ATTRIBUTE_PATTERN.lastIndex;
+      }
+
+      const close = source.slice(cursor).match(/^\s*(\/?)>/);
+      if (!close) fail(source, cursor, `<${element.name}> 태그의 속성 형식이 잘못되었습니다`);
+      index = cursor + close[0].length;
+
+      current().children.push(element);
+      if (!close[1]) stack.push(element);
+    } else {
+      const end = source.indexOf('<', index);
+      const value = source.slice(index, end === -1 ? source.length : end);
+      if (/&(?!(?:[A-Za-z]+|#\d+|#x[\da-fA-F]+);)/.test(value)) fail(source, index, '잘못된 문자 참조(&)');
+      current().children.push({ type: 'text', value });
+      index = end === -1 ? source.length : end;
+    }
+  }
+
+  if (stack.length > 1) fail(source, source.length, `닫히지 않은 태그 <${current().name}>`);
+
+  const elements = root.children.filter(node => node.type === 'element');
+  const strayText = root.children.some(node => node.type === 'text' && node.value.trim());
+  if (elements.length !== 1 || strayText) throw new Error('루트 요소는 하나여야 합니다');
+  if (elements[0].name !== 'svg') throw new Error(`루트 요소가 <svg>가 아닙니다: <${elements[0].name}>`);
+
+  return elements[0];
+};
+
+// ==============================
+// ✅ 검증
+// ==============================
+
+const walk = (node, visit) => {
+  visit(node);
+  node.children?.forEach(child => walk(child, visit));
+};
+
+const parseViewBox = (value) => {
+  const numbers = value.trim().split(/[\s,]+/).map(Number);
+  if (numbers.length !== 4 || numbers.some(n => !Number.isFinite(n)) || numbers[2] <= 0 || numbers[3] <= 0) {
+    return null;
+  }
+  return numbers;
+};
+
+// viewBox 확정 (없으면 width/height에서 생성)
+const resolveViewBox = (svg) => {
+  const { viewBox, width, height } = svg.attributes;
+  if (viewBox !== undefined) {
+    const numbers = parseViewBox(viewBox);
+    if (!numbers) throw new Error(`잘못된 viewBox: "${viewBox}"`);
+    return numbers;
+  }
+
+  const w = parseFloat(width);
+  const h = parseFloat(height);
+  if (!(w > 0 && h > 0) || /%/.test(width + height)) {
+    throw new Error('viewBox가 없고 width/height로도 계산할 수 없습니다');
+  }
+  return [0, 0, w, h];
+};
+
+const validate = (svg) => {
+  walk(svg, (node) => {
+    if (node.type !== 'element') return;
+    if (FORBIDDEN_ELEMENTS.has(node.name)) throw new Error(`허용되지 않는 요소 <${node.name}>`);
+    const handler = Object.keys(node.attributes).find(name => /^on/i.test(name));
+    if (handler) throw new Error(`이벤트 핸들러 속성은 허용되지 않습니다: ${handler}`);
+    const href = node.attributes.href ?? node.attributes['xlink:href'];
+    if (href !== undefined && !href.startsWith('#')) {
+      throw new Error(`외부 참조는 허용되지 않습니다: ${href}`);
+    }
+  });
+};
+
+// ==============================
+// ✂️ 최적화
+// ==============================
+
+const formatNumber = (value) => {
+  const rounded = Number(value.toFixed(PRECISION));
+  return String(Object.is(rounded, -0) ? 0 : rounded).replace(/^(-?)0\./, '$1.');
+};
+
+const roundNumber = (text) => {
+  const value = Number(text);
+  return Number.isFinite(value) ? formatNumber(value) : text;
+};
+
+const NUMBER_PATTERN = /-?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g;
+
+// path 데이터 숫자 반올림 후 최소 구분자로 재조립
+// 호(A) 명령은 플래그가 붙어 쓰일 수 있어(예: 011) 원본 유지
+const optimizePathData = (d) => {
+  if (/[Aa]/.test(d)) return d.trim();
+
+  const tokens = d.match(/[MmZzLlHhVvCcSsQqTt]|-?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) ?? [];
+  const rest = d.replace(/[MmZzLlHhVvCcSsQqTt]|-?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g, '');
+  if (/[^\s,]/.test(rest)) throw new Error(`잘못된 path 데이터: "${d.slice(0, 40)}…"`);
+
+  let output = '';
+  let previous = null;
+  for (const token of tokens) {
+    const isCommand = /^[A-Za-z]$/.test(token);
+    const value = isCommand ? token : formatNumber(Number(token));
+
+    if (!isCommand && previous !== null && !/^[A-Za-z]$/.test(previous)) {
+      const needsSeparator = !value.startsWith('-') &&
+        !(value.startsWith('.') && /[.eE]/.test(previous));
+      if (needsSeparator) output += ' ';
+    }
+    output += value;
+    previous = value;
+  }
+  return output;
+};
+
+const optimizeAttributes = (node) => {
+  const attributes = {};
+  for (const [name, value] of Object.entries(node.attributes)) {
+    const prefix = name.includes(':') ? name.split(':')[0] : null;
+    if (REMOVED_ATTRIBUTES.has(name)) continue;
+    if (prefix && EDITOR_PREFIXES.includes(prefix)) continue;
+    if (prefix === 'xmlns' && EDITOR_PREFIXES.includes(name.slice(6))) continue;
+    if (name === 'style' && !value.trim()) continue;
+
+    if (name === 'd') {
+      attributes[name] = optimizePathData(value);
+    } else if (name === 'points') {
+      attributes[name] = (value.match(NUMBER_PATTERN) ?? []).map(roundNumber).join(' ');
+    } else if (NUMERIC_ATTRIBUTES.has(name) && /^\s*-?[\d.]+(?:e[-+]?\d+)?\s*$/i.test(value)) {
+      attributes[name] = roundNumber(value.trim());
+    } else {
+      attributes[name] = value;
+    }
+  }
+  node.attributes = attributes;
+};
+
+// url(#id), href="#id"로 참조되는 id 수집
+const collectReferences = (svg) => {
+  const references = new Set();
+  walk(svg, (node) => {
+    if (node.type !== 'element') return;
+    for (const [name, value] of Object.entries(node.attributes)) {
+      for (const [, id] of value.matchAll(/url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/g)) references.add(id);
+      if ((name === 'href' || name === 'xlink:href') && value.startsWith('#')) references.add(value.slice(1));
+    }
+  });
+  return references;
+};
+
+const prune = (node, references) => {
+  if (node.type !== 'element') return node;
+
+  if (REMOVED_ELEMENTS.has(node.name)) return null;
+  const prefix = node.name.includes(':') ? node.name.split(':')[0] : null;
+  if (prefix && EDITOR_PREFIXES.includes(prefix)) return null;
+
+  optimizeAttributes(node);
+  if (node.attributes.id !== undefined && !references.has(node.attributes.id)) {
+    delete node.attributes.id;
+  }
+
+  node.children = node.children
+    .map(child => prune(child, references))
+    .filter(Boolean)
+    // 요소 사이의 공백 텍스트 제거 (text/tspan 내부는 유지)
+    .filter(child => child.type !== 'text' || child.value.trim() || ['text', 'tspan'].includes(node.name));
+
+  // 속성 없는 빈 그룹/정의는 제거
+  const isEmptyContainer = ['g', 'defs'].includes(node.name) && node.children.length === 0;
+  return isEmptyContainer ? null : node;
+};
+
+const serialize = (node) => {
+  if (node.type === 'text') return node.value;
+  const attributes = Object.entries(node.attributes).map(([name, value]) => ` ${name}="${value}"`).join('');
+  if (node.children.length === 0) return `<${node.name}${attributes}/>`;
+  return `<${node.name}${attributes}>${node.children.map(serialize).join('')}</${node.name}>`;
+};
+
+// 검증 + 최적화 - 잘못된 SVG는 예외
+// 반환: { markup, viewBox, bytesBefore, bytesAfter }
+export const optimizeSvg = (source) => {
+  const svg = parseSvg(source);
+  validate(svg);
+
+  const viewBox = resolveViewBox(svg).map(formatNumber).map(n => n.replace(/^(-?)\./, '$10.')).join(' ');
+  const references = collectReferences(svg);
+  prune(svg, references);
+
+  // 크기는 CSS(.icon)가 결정하므로 루트에는 viewBox만 남김
+  const { width, height, x, y, viewBox: _, ...rest } = svg.attributes;
+  svg.attributes = { xmlns: 'http://www.w3.org/2000/svg', ...rest, viewBox };
+
+  const markup = `${serialize(svg)}\n`;
+  return {
+    markup,
+    viewBox,
+    bytesBefore: Buffer.byteLength(source),
+    bytesAfter: Buffer.byteLength(markup)
+  };
+};
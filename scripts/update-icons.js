@@ -2,33 +2,107 @@
   🎨 아이콘 인덱스 자동 생성 스크립트
   ============================== */
 
-import { readdirSync, writeFileSync } from 'fs';
+import { readdirSync, readFileSync, writeFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { optimizeSvg } from './svg-optimize.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const iconDir = join(__dirname, '../src/icons/');
 const outputFile = join(iconDir, 'index.js');
+const spriteFileName = 'sprite.svg';
+const spriteFile = join(iconDir, spriteFileName);
+const manifestFile = join(iconDir, 'manifest.json');
+const metadataFile = join(iconDir, 'icons.json');
+const typesFile = join(iconDir, 'icons.d.ts');
 
 console.log('🔍 아이콘 디렉토리 스캔 중:', iconDir);
 
-// svg 파일 목록 가져오기
+// 아이콘별 설정 (manifest.json, 직접 관리)
+const readManifest = () => {
+  if (!existsSync(manifestFile)) return {};
+  const { $comment, ...entries } = JSON.parse(readFileSync(manifestFile, 'utf8'));
+  return entries;
+};
+
+const manifest = readManifest();
+
+// svg 파일 목록 가져오기 (생성된 스프라이트 제외)
 const files = readdirSync(iconDir)
-  .filter(f => f.endsWith('.svg'))
+  .filter(f => f.endsWith('.svg') && f !== spriteFileName)
   .sort();
 
 console.log(`📦 발견된 아이콘: ${files.length}개`);
 
-// iconPaths 객체 생성
-const iconPaths = {};
+// ==============================
+// 🧹 검증 및 최적화
+// ==============================
+// 원본 파일은 그대로 두고 최적화 결과(편집기 메타데이터 제거·viewBox 정규화)로 스프라이트와 메타데이터 생성
+// 배포되는 아이콘 파일은 scripts/build.js가 같은 최적화를 거쳐 복사 (icons.json 해시와 일치)
+// 잘못된 SVG는 인덱스와 스프라이트에서 제외하고 종료 코드 1 반환
+
+const icons = [];
+const rejected = [];
+
 files.forEach(file => {
   const key = file.replace('.svg', '');
+  const source = readFileSync(join(iconDir, file), 'utf8');
+  
+  try {
+    const { markup, viewBox, bytesBefore, bytesAfter } = optimizeSvg(source);
+    icons.push({ key, file, markup, viewBox, bytes: bytesAfter });
+    console.log(`  ✅ ${key}${bytesAfter < bytesBefore ? ` (${bytesBefore} → ${bytesAfter} bytes)` : ''}`);
+  } catch (error) {
+    rejected.push({ file, message: error.message });
+    console.error(`  ❌ ${file}: ${error.message}`);
+  }
+});
+
+// iconPaths 객체 생성
+const iconPaths = {};
+icons.forEach(({ key, file }) => {
   iconPaths[key] = file;
-  console.log(`  ✅ ${key}`);
 });
 
+// manifest.json 설정 중 실제 아이콘에 해당하는 항목만 반영
+const iconOptions = {};
+Object.entries(manifest).forEach(([key, options]) => {
+  if (!iconPaths[key]) {
+    console.warn(`  ⚠️ manifest.json: 존재하지 않는 아이콘 "${key}" 설정 무시`);
+    return;
+  }
+  iconOptions[key] = options;
+});
+
+// ==============================
+// 🧩 <symbol> 스프라이트 생성
+// ==============================
+
+// 최적화된 마크업에서 루트 <svg>의 속성과 내부 마크업 분리
+const toSymbol = ({ key, markup, viewBox }) => {
+  const [, attributes, body] = markup.match(/<svg\b([^>]*)>([\s\S]*)<\/svg>/) ?? [null, '', ''];
+  const attr = (name) => attributes.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+  
+  // 루트의 fill/stroke 기본값은 <symbol>로 옮겨야 하위 요소에 그대로 상속됨
+  const inherited = ['fill', 'stroke']
+    .map(name => attr(name) !== undefined ? ` ${name}="${attr(name)}"` : '')
+    .join('');
+  
+  return `  <symbol id="icon-${key}" viewBox="${viewBox}"${inherited}>${body.trim()}</symbol>`;
+};
+
+const symbols = icons.map(toSymbol);
+
+const sprite = `<svg xmlns="http://www.w3.org/2000/svg">
+${symbols.join('\n')}
+</svg>
+`;
+
+writeFileSync(spriteFile, sprite, 'utf8');
+
 // index.js 내용 생성
 const content = `/* ==============================
   🎨 아이콘 중앙 관리 시스템
@@ -39,14 +113,35 @@ const content = `/* ==============================
 // 아이콘 경로 정의 (자동 생성됨)
 export const iconPaths = ${JSON.stringify(iconPaths, null, 2)};
 
+// 빌드 결과 경로 매핑 (scripts/build.js가 asset-manifest.json 내용을 주입, 미빌드 시 원본 경로)
+const assetManifest = globalThis.__ASSET_MANIFEST__ ?? {};
+
+export const iconDir = 'assets/icons/';
+
+// 'assets/icons/add.svg' → './assets/icons/add.{hash}.svg'
+export function resolveAssetPath(path) {
+  return \`./\${assetManifest[path] ?? path}\`;
+}
+
 // 전체 경로 생성 함수
 export function getIconPath(iconKey) {
   const filename = iconPaths[iconKey];
   if (!filename) {
     console.warn(\`⚠️ Icon "\${iconKey}" not found in iconPaths, using placeholder\`);
-    return './assets/icons/placeholder.svg';
+    return resolveAssetPath(\`\${iconDir}placeholder.svg\`);
   }
-  return \`./assets/icons/\${filename}\`;
+  return resolveAssetPath(\`\${iconDir}\${filename}\`);
+}
+
+// 아이콘별 설정 (manifest.json에서 생성됨)
+// - recolor: false → 원본 색상 유지
+export const iconOptions = ${JSON.stringify(iconOptions, null, 2)};
+
+// 전체 아이콘 <symbol> 스프라이트 (아이콘 id: icon-{key})
+export const spriteFile = '${spriteFileName}';
+
+export function getSpritePath() {
+  return resolveAssetPath(\`\${iconDir}\${spriteFile}\`);
 }
 
 // iconMap 생성 함수
@@ -69,7 +164,7 @@ export const fallbackIcon = 'placeholder';
 /* ==============================
   📊 메타데이터
   ============================== */
-// 총 아이콘 개수: ${files.length}
+// 총 아이콘 개수: ${icons.length}
 // 생성 일시: ${new Date().toISOString()}
 
 
@@ -80,8 +175,68 @@ export const fallbackIcon = 'placeholder';
 // 파일 쓰기
 writeFileSync(outputFile, content, 'utf8');
 
+// ==============================
+// 📋 메타데이터(JSON)와 타입 선언(.d.ts)
+// ==============================
+// 내용이 같으면 결과도 같도록 생성 일시는 넣지 않음 (불필요한 diff 방지)
+
+const contentHash = (markup) => createHash('sha256').update(markup).digest('hex').slice(0, 16);
+
+const metadata = {
+  $comment: '자동 생성됨 - 직접 수정하지 마세요! (bun run update-icons)',
+  sprite: {
+    file: spriteFileName,
+    bytes: Buffer.byteLength(sprite),
+    hash: contentHash(sprite)
+  },
+  icons: Object.fromEntries(icons.map(({ key, file, markup, viewBox, bytes }) => [
+    key,
+    { file, viewBox, bytes, hash: contentHash(markup) }
+  ]))
+};
+
+writeFileSync(metadataFile, `${JSON.stringify(metadata, null, 2)}\n`, 'utf8');
+
+const types = `/* ==============================
+  🎨 아이콘 타입 선언 (import type { IconKey } from './icons/icons')
+  자동 생성됨 - 직접 수정하지 마세요!
+  스크립트: npm run update-icons
+  ============================== */
+
+export type IconKey =
+${icons.map(({ key }) => `  | '${key}'`).join('\n')};
+
+export interface IconOptions {
+  recolor?: boolean;
+}
+
+export interface IconMetadata {
+  file: string;
+  viewBox: string;
+  bytes: number;
+  hash: string;
+}
+
+export interface IconManifest {
+  sprite: Omit<IconMetadata, 'viewBox'>;
+  icons: Record<IconKey, IconMetadata>;
+}
+`;
+
+writeFileSync(typesFile, types, 'utf8');
+
 console.log('\n✅ icon/index.js 생성 완료!');
-console.log(`📊 총 ${files.length}개 아이콘 등록됨`);
+console.log(`📊 총 ${icons.length}개 아이콘 등록됨`);
 console.log(`📝 파일 위치: ${outputFile}`);
+console.log(`🧩 스프라이트: ${spriteFile} (${symbols.length}개 심볼)`);
+console.log(`📋 메타데이터: ${metadataFile}`);
+console.log(`🔤 타입 선언: ${typesFile}`);
+
+if (rejected.length > 0) {
+  console.error(`\n❌ 잘못된 SVG ${rejected.length}개가 제외되었습니다:`);
+  rejected.forEach(({ file, message }) => console.error(`  - ${file}: ${message}`));
+  process.exit(1);
+}
+
 console.log('\n🎉 완료! 이제 아이콘을 사용할 수 있습니다.');
 
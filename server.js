@@ -1,5 +1,7 @@
 import { build, serve } from "bun";
 import { watch, existsSync, cpSync, mkdirSync, rmSync, readFileSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
 import { z } from "zod";
 
 // ============================================================================
@@ -24,6 +26,16 @@ const config = {
   htmlEntry: `${env.BUNDLE_OUTPUT_DIR}/index.html`,
   iconsDir: env.ICONS_DIR,
   watchExtensions: [".js", ".jsx", ".ts", ".tsx", ".css", ".html"],
+  liveReload: {
+    endpoint: "/__dev",
+    topic: "live-reload",
+    client: "./scripts/dev-client.js",
+  },
+  buildScript: "scripts/build.js",
+  // app.css만 바뀌었을 때 스타일시트만 다시 빌드 (종료 코드 3이면 전체 빌드 필요)
+  cssBuildScript: "scripts/build-css.js",
+  // 빌드 스크립트가 실패 시 오류 목록(JSON)을 기록하는 파일
+  buildErrorFile: join(tmpdir(), `button-system-build-error-${process.pid}.json`),
   buildOptions: {
     target: "browser",
     format: "esm",
@@ -76,27 +88,54 @@ const waitDelete = async (path, retries = 10) => {
 // ============================================================================
 let building = false;
 
-const bundle = async (tag = "manual") => {
-  if (building) return;
+// 마지막 빌드 오류 ({ message, file, line, column, frame }[]), 성공하면 null
+let buildErrors = null;
+
+const readBuildErrors = (code) => {
+  try {
+    return JSON.parse(readFileSync(config.buildErrorFile, "utf8")).errors;
+  } catch {
+    return [{ message: `Build failed with exit code ${code}` }];
+  }
+};
+
+const FULL_BUILD_REQUIRED = 3;
+
+const runBuildScript = (script) => Bun.spawn(["bun", "run", script], {
+  stdout: "inherit",
+  stderr: "inherit",
+  env: { ...process.env, NODE_ENV: env.NODE_ENV, BUILD_ERROR_FILE: config.buildErrorFile }
+}).exited;
+
+// 반환값: 빌드 성공 여부 (이미 빌드 중이라 건너뛰면 false)
+// cssOnly: 폰트 서브셋·JS 번들 없이 스타일시트만 다시 빌드 (불가능하면 전체 빌드로 대체)
+// 직전 빌드가 실패했다면 다른 파일의 오류가 남아 있을 수 있으므로 항상 전체 빌드
+const bundle = async (tag = "manual", { cssOnly = false } = {}) => {
+  if (building) return false;
   building = true;
-  console.log(`📦 Building (${tag})...`);
+  const fast = cssOnly && !buildErrors;
+  console.log(`📦 Building (${tag}${fast ? ", css only" : ""})...`);
 
   try {
-    // scripts/build.js 실행
-    const proc = Bun.spawn(["bun", "run", "scripts/build.js"], { 
-      stdout: "inherit", 
-      stderr: "inherit",
-      env: { ...process.env, NODE_ENV: env.NODE_ENV }
-    });
-    const code = await proc.exited;
+    rmSync(config.buildErrorFile, { force: true });
+    let code = fast ? await runBuildScript(config.cssBuildScript) : null;
+    if (code === null || code === FULL_BUILD_REQUIRED) code = await runBuildScript(config.buildScript);
     
     if (code === 0) {
       console.log("✅ Build successful!");
+      buildErrors = null;
     } else {
       console.error(`❌ Build failed with exit code ${code}`);
+      // 이전 dist는 그대로 두고 브라우저에 오류 오버레이 표시
+      buildErrors = readBuildErrors(code);
+      broadcast({ type: "build-error", errors: buildErrors });
     }
+    return code === 0;
   } catch (e) {
     console.error("❌ Build error:", e);
+    buildErrors = [{ message: e.message }];
+    broadcast({ type: "build-error", errors: buildErrors });
+    return false;
   } finally {
     building = false;
   }
@@ -123,6 +162,46 @@ const updateIconIndex = async () => {
   }
 };
 
+// ============================================================================
+// 라이브 리로드 (WebSocket)
+// ============================================================================
+let devServer = null;
+
+// 빌드된 app.css 경로 (파일명에 해시 포함, asset-manifest.json 기준)
+const readStylesheetHref = () => {
+  const manifestFile = `${config.outdir}/asset-manifest.json`;
+  if (!existsSync(manifestFile)) return null;
+  const cssPath = JSON.parse(readFileSync(manifestFile, "utf8"))["app.css"];
+  return cssPath ? `/${cssPath}` : null;
+};
+
+const broadcast = (message) => {
+  devServer?.publish(config.liveReload.topic, JSON.stringify(message));
+};
+
+// 연결된 브라우저에 변경 알림 (app.css만 바뀌면 스타일시트 교체, 그 외에는 새로고침)
+const notifyClients = (file) => {
+  const href = file?.endsWith("app.css") ? readStylesheetHref() : null;
+  broadcast(href ? { type: "css", href } : { type: "reload" });
+};
+
+// </head> 앞에 개발 클라이언트 삽입 (모듈 스크립트는 문서 순서대로 실행되므로 app.js보다 먼저 준비됨)
+const injectDevClient = (html) => {
+  const client = readFileSync(config.liveReload.client, "utf8");
+  const script = `<script type="module">\n${client}</script>\n`;
+  return html.includes("</head>") ? html.replace("</head>", `${script}</head>`) : script + html;
+};
+
+const htmlResponse = async (file, status = 200) => new Response(injectDevClient(await file.text()), {
+  status,
+  headers: { "Content-Type": "text/html; charset=utf-8" },
+});
+
+// 첫 빌드부터 실패해 dist가 없을 때 오류 오버레이만 띄우는 문서
+const buildErrorPage = () => new Response(injectDevClient(
+  '<!DOCTYPE html><html lang="ko"><head><meta charset="UTF-8"><title>Build failed</title></head><body></body></html>'
+), { status: 500, headers: { "Content-Type": "text/html; charset=utf-8" } });
+
 // ============================================================================
 // 파일 감시
 // ============================================================================
@@ -131,17 +210,18 @@ const startWatchers = () => {
   watch("./src", { recursive: true }, async (_, file) => {
     if (file && config.watchExtensions.some((ext) => file.endsWith(ext))) {
       console.log(`🔄 Changed: ${file}`);
-      await bundle("watch");
+      if (await bundle("watch", { cssOnly: file.endsWith("app.css") })) notifyClients(file);
     }
   });
 
   // 아이콘 감시
   if (existsSync(config.iconsDir)) {
     watch(config.iconsDir, { recursive: true }, async (_, file) => {
-      if (file?.endsWith(".svg")) {
+      // 스크립트가 생성하는 sprite.svg 변경은 무시 (재생성 무한 반복 방지)
+      if (file?.endsWith(".svg") && !file.endsWith("sprite.svg")) {
         console.log(`🎨 Icon changed: ${file}`);
         await updateIconIndex();
-        await bundle("icon-change");
+        if (await bundle("icon-change")) notifyClients(file);
       }
     });
   }
@@ -164,17 +244,22 @@ const serveStatic = async (pathname) => {
 const startServer = () => {
   const server = serve({
     port: config.port,
-    async fetch(req) {
+    async fetch(req, server) {
       const { pathname } = new URL(req.url);
 
+      // 라이브 리로드 WebSocket
+      if (pathname === config.liveReload.endpoint) {
+        if (server.upgrade(req)) return;
+        return new Response("WebSocket upgrade failed", { status: 400 });
+      }
+
       // 루트 경로는 index.html
       if (pathname === "/" || pathname === "/index.html") {
         const html = Bun.file(config.htmlEntry);
         if (await html.exists()) {
-          return new Response(html, { 
-            headers: { "Content-Type": "text/html; charset=utf-8" } 
-          });
+          return htmlResponse(html);
         }
+        if (buildErrors) return buildErrorPage();
         return new Response("index.html not found", { status: 500 });
       }
 
@@ -185,14 +270,24 @@ const startServer = () => {
       // SPA fallback (404.html로 리다이렉트 - GitHub Pages 방식)
       const fallback = Bun.file(`${config.outdir}/404.html`);
       if (await fallback.exists()) {
-        return new Response(fallback, { 
-          headers: { "Content-Type": "text/html; charset=utf-8" } 
-        });
+        return htmlResponse(fallback);
       }
 
       return new Response("Not Found", { status: 404 });
     },
+    websocket: {
+      open(ws) {
+        ws.subscribe(config.liveReload.topic);
+        // 오류 상태에서 새로 연결된 페이지에도 오버레이 표시
+        if (buildErrors) ws.send(JSON.stringify({ type: "build-error", errors: buildErrors }));
+      },
+      message() {},
+      close(ws) {
+        ws.unsubscribe(config.liveReload.topic);
+      },
+    },
   });
+  devServer = server;
 
   console.log(`🌐 Server running at http://localhost:${server.port}`);
   console.log(`📦 Serving from: ${config.outdir} (GitHub Pages compatible)`);
@@ -208,7 +303,7 @@ const main = async () => {
     // 빌드만 수행 (프로덕션 빌드) - scripts/build.js 직접 실행
     console.log(`🏗️  Building for production...`);
     await updateIconIndex();
-    const proc = Bun.spawn(["bun", "run", "scripts/build.js"], { 
+    const proc = Bun.spawn(["bun", "run", config.buildScript], { 
       stdout: "inherit", 
       stderr: "inherit",
       env: { ...process.env, NODE_ENV: "production" }
@@ -8,7 +8,16 @@ const moduleLoadStart = performance.now();
 // ==============================
 // 📦 아이콘 시스템 Import
 // ==============================
-import { createIconMap, getIconPath, fallbackIcon } from './icons/index.js';
+import { createIconMap, getIconPath, getSpritePath, spriteFile, fallbackIcon, iconPaths, iconOptions } from './icons/index.js';
+import iconMetadata from './icons/icons.json';
+import { z } from 'zod';
+import {
+  parseColor, compositeColors, contrastRatio, relativeLuminance, formatColor, WHITE,
+  splitTopLevel, parseGradient, gradientRange, sampleGradient
+} from './color.js';
+import { ThemeManager, THEME_EVENTS } from './theme.js';
+import { SpeechFeedback } from './speech.js';
+import { OfflineManager, OFFLINE_EVENTS } from './offline.js';
 
 const moduleLoadEnd = performance.now();
 console.log(`✅ [app.js] 모든 모듈 import 완료 (${(moduleLoadEnd - moduleLoadStart).toFixed(2)}ms)`);
@@ -17,352 +26,1808 @@ console.log(`✅ [app.js] 모든 모듈 import 완료 (${(moduleLoadEnd - module
 // 🎨 SVG 로더
 // ==============================
 
+// 문서에서 참조하는 아이콘만 필요할 때 개별 요청
+// - .icon 요소에는 즉시 <use href="#icon-key">를 그려 두고, 화면에 들어오면(IntersectionObserver) 심볼을 로드
+// - <use>는 나중에 추가된 <symbol>도 자동으로 참조하므로 로드 완료 시 별도 갱신 불필요
+// - 받은 마크업은 Cache Storage에 icons.json의 콘텐츠 해시(?v=hash)를 키로 보관
+// - IntersectionObserver 미지원 시 update-icons가 만든 sprite.svg 한 번 요청으로 전체 심볼 정의
+
 const SVGLoader = {
-  cache: new Map(),
+  // 문서 스프라이트에 정의된 아이콘 키
+  symbols: new Set(),
+  
+  // 로드 중/완료된 심볼 (key → Promise)
+  loading: new Map(),
+  
+  // 로드에 실패해 placeholder로 대체된 아이콘 키
+  failed: new Set(),
+  
+  spriteId: 'icon-sprite',
+  
+  cacheName: 'button-system-icons',
+  
+  // 화면 밖 아이콘을 미리 불러올 여유 영역
+  rootMargin: '200px',
+  
+  observer: null,
+  
+  // 스프라이트 로드 Promise (IntersectionObserver 미지원 시에만 사용)
+  spritePromise: null,
+  
+  get iconMap() {
+    return createIconMap();
+  },
+  
+  symbolId(key) {
+    return `icon-${key}`;
+  },
+  
+  // ==============================
+  // 역할별 색상 변환
+  // ==============================
+  // 가장 많이 쓰인 색상(주 색조) → currentColor
+  // 나머지 색상(보조 색조) → var(--icon-secondary-color, currentColor)
+  // none, transparent, url(#gradient|#mask), currentColor 등 색상이 아닌 칠은 유지
+  // 반투명 색상은 알파를 fill-opacity / stroke-opacity로 옮겨 보존
+  
+  paintProperties: ['fill', 'stroke'],
+  
+  secondaryPaint: 'var(--icon-secondary-color, currentColor)',
+  
+  isPreservedPaint(value) {
+    return /^(none|transparent|currentcolor|inherit|initial|unset|context-fill|context-stroke)$/i.test(value) ||
+      /^(url|var)\(/i.test(value);
+  },
+  
+  // style 속성 파싱 (rgb( 0, 0, 0 )처럼 괄호 안 구분자는 분리하지 않음)
+  parseStyle(style) {
+    return splitTopLevel(style ?? '', ';')
+      .map(declaration => {
+        const colon = declaration.indexOf(':');
+        return colon === -1 ? null : [declaration.slice(0, colon).trim().toLowerCase(), declaration.slice(colon + 1).trim()];
+      })
+      .filter(entry => entry && entry[0]);
+  },
+  
+  // 요소의 색상 칠(속성 + style) 수집
+  collectPaints(root) {
+    const paints = [];
+    [root, ...root.querySelectorAll('*')].forEach(element => {
+      const declarations = this.parseStyle(element.getAttribute('style'));
+      this.paintProperties.forEach(property => {
+        const sources = [
+          ['attribute', element.getAttribute(property)],
+          ['style', declarations.find(([name]) => name === property)?.[1]]
+        ];
+        sources.forEach(([source, value]) => {
+          if (!value || this.isPreservedPaint(value.trim())) return;
+          try {
+            const color = parseColor(value.trim());
+            paints.push({ element, property, source, color, tone: `${color.r},${color.g},${color.b}` });
+          } catch {
+            // 해석할 수 없는 값은 원본 유지
+          }
+        });
+      });
+    });
+    return paints;
+  },
+  
+  setStyleProperty(element, property, value) {
+    const declarations = this.parseStyle(element.getAttribute('style'))
+      .filter(([name]) => name !== property);
+    if (value !== null) declarations.push([property, value]);
+    if (declarations.length > 0) {
+      element.setAttribute('style', declarations.map(([name, v]) => `${name}: ${v}`).join('; '));
+    } else {
+      element.removeAttribute('style');
+    }
+  },
+  
+  // root(심볼 또는 svg) 안의 색상을 역할별로 변환하고 색조 수 반환
+  recolor(root) {
+    const paints = this.collectPaints(root);
+    if (paints.length === 0) return 0;
+    
+    const counts = new Map();
+    paints.forEach(({ tone }) => counts.set(tone, (counts.get(tone) ?? 0) + 1));
+    const [primaryTone] = [...counts.entries()].reduce((best, entry) => entry[1] > best[1] ? entry : best);
+    
+    paints.forEach(({ element, property, source, color, tone }) => {
+      const isPrimary = tone === primaryTone;
+      
+      // 프레젠테이션 속성은 var()를 지원하지 않으므로 보조 색조는 style로 지정
+      if (isPrimary && source === 'attribute') {
+        element.setAttribute(property, 'currentColor');
+      } else if (isPrimary) {
+        this.setStyleProperty(element, property, 'currentColor');
+      } else {
+        if (source === 'attribute') element.removeAttribute(property);
+        this.setStyleProperty(element, property, this.secondaryPaint);
+      }
+      
+      if (color.alpha < 1) {
+        const opacityProperty = `${property}-opacity`;
+        const current = parseFloat(element.getAttribute(opacityProperty));
+        const opacity = (Number.isFinite(current) ? current : 1) * color.alpha;
+        element.setAttribute(opacityProperty, String(Number(opacity.toFixed(3))));
+      }
+    });
+    
+    return counts.size;
+  },
+  
+  shouldRecolor(key) {
+    return iconOptions[key]?.recolor !== false;
+  },
+  
+  // 내부 id(그라디언트, clipPath, mask 등)와 그 참조를 scope 접두사로 다시 작성
+  // 여러 아이콘이 같은 id(예: clip0)를 써도 url(#id) 참조가 다른 아이콘의 요소를 가리키지 않음
+  scopeIds(markup, scope, { keep = [] } = {}) {
+    const ids = new Set(Array.from(markup.matchAll(/\sid="([^"]+)"/g), ([, id]) => id));
+    keep.forEach(id => ids.delete(id));
+    if (ids.size === 0) return markup;
+    
+    const escape = (id) => id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const names = [...ids].map(escape).join('|');
+    const pattern = new RegExp(`(\\sid="|url\\(\\s*['"]?#|href="#)(${names})(?=["')\\s])`, 'g');
+    return markup.replace(pattern, (_, before, id) => `${before}${scope}-${id}`);
+  },
+  
+  // ==============================
+  // 심볼 로드
+  // ==============================
+  
+  // 아이콘 심볼을 담는 문서 스프라이트 (없으면 생성)
+  // display: none이면 그라디언트·마스크 참조가 렌더링되지 않는 브라우저가 있어 크기 0으로 숨김
+  getSprite() {
+    let sprite = document.getElementById(this.spriteId);
+    if (!sprite) {
+      sprite = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      sprite.id = this.spriteId;
+      sprite.setAttribute('aria-hidden', 'true');
+      sprite.setAttribute('focusable', 'false');
+      sprite.style.cssText = 'position: absolute; width: 0; height: 0; overflow: hidden;';
+      document.body.prepend(sprite);
+    }
+    return sprite;
+  },
+  
+  // 콘텐츠 해시가 들어간 요청 URL - 아이콘이 바뀌면 URL(=캐시 키)도 바뀜
+  // 빌드 결과는 파일명에 해시 포함(asset-manifest), 원본 경로일 때만 ?v=해시를 붙임
+  getIconUrl(key) {
+    const path = getIconPath(key);
+    const hash = iconMetadata.icons[key]?.hash;
+    return hash && path.endsWith(`/${iconPaths[key]}`) ? `${path}?v=${hash}` : path;
+  },
+  
+  canUseCacheStorage() {
+    return typeof caches !== 'undefined' && window.isSecureContext !== false;
+  },
+  
+  // 스프라이트도 같은 규칙 (빌드 결과는 파일명 해시, 원본 경로는 ?v=해시)
+  getSpriteUrl() {
+    const path = getSpritePath();
+    const hash = iconMetadata.sprite?.hash;
+    return hash && path.endsWith(`/${spriteFile}`) ? `${path}?v=${hash}` : path;
+  },
+  
+  fetchMarkup(key) {
+    return this.fetchUrl(this.getIconUrl(key));
+  },
+  
+  async fetchUrl(url) {
+    if (this.canUseCacheStorage()) {
+      try {
+        const cache = await caches.open(this.cacheName);
+        const cached = await cache.match(url);
+        if (cached) return cached.text();
+        
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`SVG not found: ${url}`);
+        await cache.put(url, response.clone());
+        return response.text();
+      } catch (error) {
+        // Cache Storage 오류(용량 초과 등)는 네트워크 요청으로 대체
+        if (error.message.startsWith('SVG not found')) throw error;
+      }
+    }
+    
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`SVG not found: ${url}`);
+    return response.text();
+  },
+  
+  // 현재 icons.json에 없는 해시의 캐시 항목 정리 (초기화를 막지 않도록 비동기로 실행)
+  async pruneCache() {
+    if (!this.canUseCacheStorage()) return;
+    try {
+      const cache = await caches.open(this.cacheName);
+      const urls = [...Object.keys(iconPaths).map(key => this.getIconUrl(key)), this.getSpriteUrl()];
+      const current = new Set(urls.map(url => new URL(url, location.href).href));
+      const stale = (await cache.keys()).filter(request => !current.has(request.url));
+      await Promise.all(stale.map(request => cache.delete(request)));
+      if (stale.length > 0) console.log(`🧹 Pruned ${stale.length} stale cached icons`);
+    } catch (error) {
+      console.warn('⚠️ Icon cache pruning failed:', error);
+    }
+  },
+  
+  // 아이콘 마크업을 <symbol>로 변환해 문서 스프라이트에 추가
+  defineSymbol(key, markup) {
+    const symbolId = this.symbolId(key);
+    // 아이콘마다 <symbol>은 하나이고 모든 <use>가 공유하므로 심볼 단위로 범위 지정
+    const scoped = this.scopeIds(markup, symbolId);
+    const parsed = new DOMParser().parseFromString(scoped, 'image/svg+xml');
+    const svg = parsed.documentElement;
+    if (parsed.querySelector('parsererror') || svg?.localName !== 'svg') {
+      throw new Error(`Invalid SVG: ${key}`);
+    }
+    
+    // <use> 그림자 트리에는 CSS 선택자가 닿지 않으므로 삽입 전에 색상 변환
+    if (this.shouldRecolor(key)) this.recolor(svg);
+    
+    const symbol = parsed.createElementNS('http://www.w3.org/2000/svg', 'symbol');
+    symbol.id = symbolId;
+    // 루트의 fill/stroke 기본값은 <symbol>로 옮겨야 하위 요소에 그대로 상속됨
+    ['viewBox', 'fill', 'stroke'].forEach(name => {
+      if (svg.hasAttribute(name)) symbol.setAttribute(name, svg.getAttribute(name));
+    });
+    symbol.append(...svg.childNodes);
+    
+    this.getSprite().appendChild(document.importNode(symbol, true));
+    this.symbols.add(key);
+  },
+  
+  // 전체 스프라이트를 한 번 받아 아직 없는 심볼을 모두 정의 (실패하면 false - 개별 요청으로 대체)
+  loadSprite() {
+    if (this.spritePromise) return this.spritePromise;
+    
+    this.spritePromise = this.fetchUrl(this.getSpriteUrl())
+      .then(markup => {
+        const sprite = new DOMParser().parseFromString(markup, 'image/svg+xml');
+        if (sprite.querySelector('parsererror')) throw new Error('Invalid SVG sprite');
+        
+        const serializer = new XMLSerializer();
+        sprite.querySelectorAll('symbol[id^="icon-"]').forEach(symbol => {
+          const key = symbol.id.slice('icon-'.length);
+          if (!iconPaths[key] || this.loading.has(key)) return;
+          
+          // 심볼을 개별 아이콘 마크업으로 되돌려 defineSymbol의 id 범위 지정·색상 변환을 그대로 적용
+          const attributes = ['viewBox', 'fill', 'stroke']
+            .filter(name => symbol.hasAttribute(name))
+            .map(name => ` ${name}="${symbol.getAttribute(name)}"`)
+            .join('');
+          const body = Array.from(symbol.childNodes, node => serializer.serializeToString(node)).join('');
+          this.defineSymbol(key, `<svg xmlns="http://www.w3.org/2000/svg"${attributes}>${body}</svg>`);
+          this.loading.set(key, Promise.resolve());
+        });
+        console.log(`✅ Loaded icon sprite (${this.symbols.size} symbols)`);
+        return true;
+      })
+      .catch(error => {
+        console.warn('⚠️ Failed to load icon sprite, loading icons individually:', error.message);
+        return false;
+      });
+    
+    return this.spritePromise;
+  },
+  
+  // 심볼 로드 (중복 요청 방지) - 실패 시 해당 아이콘을 placeholder로 대체
+  loadSymbol(key) {
+    if (this.loading.has(key)) return this.loading.get(key);
+    
+    const promise = this.fetchMarkup(key)
+      .then(markup => {
+        this.defineSymbol(key, markup);
+        console.log(`✅ Loaded ${key} icon`);
+      })
+      .catch(error => {
+        console.warn(`⚠️ Failed to load ${key} icon, using fallback:`, error.message);
+        if (key === fallbackIcon) return;
+        this.failed.add(key);
+        document.querySelectorAll(`use[href="#${this.symbolId(key)}"]`).forEach(use => {
+          use.setAttribute('href', `#${this.symbolId(fallbackIcon)}`);
+        });
+        return this.loadSymbol(fallbackIcon);
+      });
+    
+    this.loading.set(key, promise);
+    return promise;
+  },
+  
+  // ==============================
+  // 지연 로딩
+  // ==============================
+  
+  getObserver() {
+    if (!this.observer && typeof IntersectionObserver === 'function') {
+      this.observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          this.observer.unobserve(entry.target);
+          const key = entry.target.dataset.iconKey;
+          delete entry.target.dataset.iconKey;
+          this.loadSymbol(key);
+        });
+      }, { rootMargin: this.rootMargin });
+    }
+    return this.observer;
+  },
+  
+  // 화면에 들어올 때 심볼 로드 (IntersectionObserver 미지원 시 스프라이트로 한 번에)
+  scheduleLoad(el, key) {
+    if (this.loading.has(key)) return;
+    const observer = this.getObserver();
+    if (observer) {
+      el.dataset.iconKey = key;
+      observer.observe(el);
+    } else {
+      this.loadSprite().then(() => this.loadSymbol(key));
+    }
+  },
+  
+  // DOM에서 제거된 영역의 로드 대기 아이콘 관찰 해제 (분리된 요소가 observer에 남지 않도록)
+  unobserveIcons(root) {
+    if (!this.observer) return;
+    const pending = Array.from(root.querySelectorAll('[data-icon-key]'));
+    if (root.matches('[data-icon-key]')) pending.unshift(root);
+    pending.forEach(el => {
+      this.observer.unobserve(el);
+      delete el.dataset.iconKey;
+    });
+  },
+  
+  // 스프라이트 심볼 참조 마크업 (없거나 로드에 실패한 아이콘은 placeholder로 대체)
+  resolveKey(key) {
+    return iconPaths[key] && !this.failed.has(key) ? key : fallbackIcon;
+  },
+  
+  createIconMarkup(key) {
+    return `<svg aria-hidden="true" focusable="false"><use href="#${this.symbolId(this.resolveKey(key))}"></use></svg>`;
+  },
+  
+  injectIcons(root = document) {
+    // root 자신과 하위 요소 중 selector에 해당하는 요소 수집
+    const queryWithin = (selector) => {
+      const found = Array.from(root.querySelectorAll(selector));
+      if (root instanceof Element && root.matches(selector)) found.unshift(root);
+      return found;
+    };
+    
+    // .toggle .icon.pressed는 CSS로 처리하므로 제외
+    const isPressedToggleIcon = (el) => el.closest('.toggle') && el.classList.contains('pressed');
+    
+    // 1단계: data-icon 속성이 있는 요소에 해당 아이콘 참조 주입
+    queryWithin('[data-icon]').forEach(el => {
+      const key = el.dataset.icon;
+      // 토글 아이콘은 CSS content로 처리하므로 JavaScript 인젝션 제외
+      if (key === 'toggle' || isPressedToggleIcon(el)) return;
+      
+      if (!iconPaths[key]) {
+        console.warn(`⚠️ Unknown icon "${key}", using placeholder`);
+      }
+      el.innerHTML = this.createIconMarkup(key);
+      this.scheduleLoad(el, this.resolveKey(key));
+    });
+    
+    // 2단계: data-icon 속성이 없는 .icon 요소에 기본 아이콘(placeholder) 주입
+    queryWithin('.icon:not([data-icon])').forEach(el => {
+      // 이미 SVG가 주입되어 있지 않은 경우에만 주입
+      if (isPressedToggleIcon(el) || el.innerHTML.trim()) return;
+      el.innerHTML = this.createIconMarkup(fallbackIcon);
+      this.scheduleLoad(el, fallbackIcon);
+    });
+  },
+  
+  // 초기화를 기다리게 하지 않음 - 아이콘은 도착하는 대로 표시
+  injectAllIcons() {
+    this.getSprite();
+    this.injectIcons(document);
+    this.pruneCache();
+    console.log('✅ Icon references injected (symbols load on demand)');
+  }
+};
+
+// ==============================
+// 🎨 버튼 스타일 관리자
+// ==============================
+
+const StyleManager = {
+  // ==============================
+  // 헬퍼 함수
+  // ==============================
+  
+  async waitForRenderCompletion() {
+    return new Promise((resolve) => {
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          setTimeout(() => {
+            resolve();
+          }, 16);
+        });
+      });
+    });
+  },
+  
+  // ==============================
+  // 명도대비 계산
+  // ==============================
+  
+  calculateContrastRGBA(r1, g1, b1, r2, g2, b2) {
+    const lum1 = relativeLuminance({ r: r1, g: g1, b: b1 });
+    const lum2 = relativeLuminance({ r: r2, g: g2, b: b2 });
+    
+    const brightest = Math.max(lum1, lum2);
+    const darkest = Math.min(lum1, lum2);
+    const contrastRatio = (brightest + 0.05) / (darkest + 0.05);
+    
+    return contrastRatio;
+  },
+
+  // 모든 CSS 색상 문법 지원 (color.js) - 반투명 배경은 흰색 위에 합성
+  calculateContrast(color1, color2) {
+    return contrastRatio(color1, color2);
+  },
+  
+  // 요소에서 조상 방향으로 배경 레이어(background-color + 그라디언트 이미지)를 쌓아
+  // targetRect 영역 아래에 나타날 수 있는 실제 배경색 후보를 계산 (첫 불투명 배경색에서 중단)
+  getBackgroundCandidates(element, targetRect = element.getBoundingClientRect()) {
+    // 위 → 아래 순서, 각 레이어는 후보 색상 배열
+    const layers = [];
+    
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      
+      // background-image는 먼저 나열된 이미지가 위에 그려지고, 모두 background-color 위에 위치
+      if (style.backgroundImage && style.backgroundImage !== 'none') {
+        const layerRect = node.getBoundingClientRect();
+        for (const image of splitTopLevel(style.backgroundImage)) {
+          const gradient = parseGradient(image, layerRect);
+          if (gradient) {
+            layers.push(sampleGradient(gradient, gradientRange(gradient, layerRect, targetRect)));
+          }
+        }
+      }
+      
+      let color;
+      try {
+        color = parseColor(style.backgroundColor);
+      } catch (error) {
+        continue;
+      }
+      if (color.alpha === 0) continue;
+      
+      layers.push([color]);
+      if (color.alpha >= 1) break;
+    }
+    
+    // 가장 아래(불투명 조상 또는 흰 캔버스)부터 위로 합성
+    return layers.reduceRight(
+      (backdrops, colors) => backdrops.flatMap(backdrop => colors.map(color => compositeColors(color, backdrop))),
+      [WHITE]
+    );
+  },
+  
+  // 텍스트/아이콘 요소와 그 아래 배경 사이의 명도대비 - 그라디언트 구간 중 최악의 값을 반환
+  calculateElementContrast(element, foreground = getComputedStyle(element).color) {
+    const candidates = this.getBackgroundCandidates(element);
+    const ratios = candidates.map(background => contrastRatio(foreground, background));
+    const worstIndex = ratios.indexOf(Math.min(...ratios));
+    
+    return {
+      foreground,
+      ratio: ratios[worstIndex],
+      background: candidates[worstIndex],
+      best: Math.max(...ratios)
+    };
+  },
+  
+  // ==============================
+  // 업데이트 관리
+  // ==============================
+  
+  scheduleUpdate(buttons) {
+    this.waitForRenderCompletion().then(() => {
+      ContrastOverlay.update(buttons);
+    });
+  },
+  
+  setupUpdateManager() {
+    const observer = new MutationObserver((mutations) => {
+      const changedButtons = new Set();
+      let needsFullUpdate = false;
+      
+      mutations.forEach(mutation => {
+        const target = mutation.target;
+        
+        if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
+          if (target.classList.contains('button')) {
+            changedButtons.add(target);
+          }
+        }
+        
+        if (mutation.type === 'attributes' && mutation.attributeName === 'style') {
+          if (target === document.documentElement) {
+            needsFullUpdate = true;
+          }
+        }
+      });
+      
+      if (needsFullUpdate) {
+        this.scheduleUpdate();
+      } else if (changedButtons.size > 0) {
+        this.scheduleUpdate(changedButtons);
+      }
+    });
+    
+    // 이후 추가되는 버튼도 감지되도록 개별 버튼 대신 body 하위 트리 전체 관찰
+    observer.observe(document.body, {
+      attributes: true,
+      attributeFilter: ['class'],
+      subtree: true
+    });
+    
+    observer.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ['style']
+    });
+    
+    // 테마 전환(문서 전체 또는 하위 트리) 시 색상이 모두 바뀌므로 전체 업데이트
+    document.addEventListener(THEME_EVENTS.CHANGE, () => this.scheduleUpdate());
+    return observer;
+  },
+  
+  // ==============================
+  // 동적 스타일 적용
+  // ==============================
+  
+  // 버튼 크기를 --min-side에 반영하고 실제로 값이 바뀐 버튼 목록을 반환
+  writeMinSides(measurements) {
+    const changed = [];
+    
+    for (const { button, minSide } of measurements) {
+      const cached = ButtonSystem.state.styleCache.get(button) || {};
+      const needsUpdate = (cached.minSide || 0) !== minSide;
+
+      if (!needsUpdate) continue;
+
+      // --min-side CSS 변수만 설정, 나머지는 CSS에서 --min-side 기반으로 계산
+      button.style.setProperty('--min-side', `${minSide}px`);
+
+      ButtonSystem.state.styleCache.set(button, {
+        minSide
+      });
+      changed.push(button);
+    }
+    
+    return changed;
+  },
+  
+  // 전체(또는 지정한) 버튼을 즉시 측정 - 초기화와 모드 전환처럼 동기 측정이 필요한 경우 사용
+  applyDynamicStyles(buttons = document.querySelectorAll('.button')) {
+    if (buttons.length === 0) return;
+    
+    // 읽기를 모두 마친 뒤 쓰기를 수행해 강제 레이아웃을 한 번으로 제한
+    const measurements = Array.from(buttons, button => {
+      const rect = button.getBoundingClientRect();
+      return { button, minSide: Math.min(rect.width, rect.height) };
+    });
+    
+    const changed = this.writeMinSides(measurements);
+    ContrastOverlay.update(changed);
+  },
+  
+  // ResizeObserver 기반 버튼별 크기 추적 - 크기가 바뀐 버튼만 갱신
+  setupResizeObserver() {
+    const observer = new ResizeObserver((entries) => {
+      const measurements = entries.map(entry => {
+        // borderBoxSize는 브라우저에 따라 배열 또는 단일 객체
+        const borderBox = Array.isArray(entry.borderBoxSize) ? entry.borderBoxSize[0] : entry.borderBoxSize;
+        const width = borderBox ? borderBox.inlineSize : entry.contentRect.width;
+        const height = borderBox ? borderBox.blockSize : entry.contentRect.height;
+        return { button: entry.target, minSide: Math.min(width, height) };
+      });
+      
+      const changed = this.writeMinSides(measurements);
+      if (changed.length > 0) {
+        ContrastOverlay.update(changed);
+      }
+    });
+    
+    ButtonSystem.state.resizeObserver = observer;
+    this.observeButtons(document.querySelectorAll('.button'));
+    return observer;
+  },
+  
+  observeButtons(buttons) {
+    const observer = ButtonSystem.state.resizeObserver;
+    if (!observer) return;
+    buttons.forEach(button => observer.observe(button, { box: 'border-box' }));
+  },
+  
+  unobserveButtons(buttons) {
+    const observer = ButtonSystem.state.resizeObserver;
+    if (!observer) return;
+    buttons.forEach(button => observer.unobserve(button));
+  },
+  
+  // ==============================
+  // 아이콘 인젝션 설정
+  // ==============================
+  
+  setupToggleButton(button) {
+    if (!button.classList.contains('toggle')) return;
+    
+    // .icon.pressed 요소 생성
+    let iconPressedSpan = button.querySelector('.icon.pressed');
+    
+    if (!iconPressedSpan) {
+      iconPressedSpan = document.createElement('span');
+      iconPressedSpan.className = 'icon pressed';
+      iconPressedSpan.setAttribute('aria-hidden', 'true');
+      
+      // 아이콘이 .background2 안에 있으면 그 레이어 앞에 삽입 (버튼의 직계 자식 기준)
+      let anchor = button.querySelector('.icon:not(.pressed)');
+      while (anchor && anchor.parentNode !== button) {
+        anchor = anchor.parentNode;
+      }
+      button.insertBefore(iconPressedSpan, anchor || button.firstChild);
+    }
+    
+    // 토글 버튼 속성 설정
+    const isInitiallyPressed = button.classList.contains('pressed');
+    button.dataset.isToggleButton = 'true';
+    button.setAttribute('aria-pressed', isInitiallyPressed ? 'true' : 'false');
+  },
+  
+  async setupIconInjection() {
+    await this.waitForRenderCompletion();
+    
+    document.querySelectorAll('.button').forEach(button => this.setupToggleButton(button));
+  }
+};
+
+// ==============================
+// 🧭 공간 네비게이션
+// ==============================
+
+const SpatialNavigator = {
+  options: {
+    // 진행 방향에 후보가 없을 때 반대편 끝으로 순환할지 여부 (영역별 data-nav-wrap으로 재정의 가능)
+    wrap: true,
+    // 진행 방향 기준 허용 각도의 tan 값 (1 = 좌우 45도 원뿔)
+    coneSlope: 1,
+    // 진행 방향과 수직인 어긋남에 주는 가중치
+    orthogonalWeight: 2
+  },
+  
+  directions: {
+    ArrowRight: { axis: 'x', sign: 1 },
+    ArrowLeft: { axis: 'x', sign: -1 },
+    ArrowDown: { axis: 'y', sign: 1 },
+    ArrowUp: { axis: 'y', sign: -1 }
+  },
+  
+  configure(options = {}) {
+    Object.assign(this.options, options);
+    return this.options;
+  },
+  
+  // data-nav-region 컨테이너가 있으면 그 안에서만 이동 (opt-in)
+  getRegion(button) {
+    return button.closest('[data-nav-region]') || document;
+  },
+  
+  shouldWrap(region) {
+    const attr = region instanceof Element ? region.getAttribute('data-nav-wrap') : null;
+    if (attr === 'true') return true;
+    if (attr === 'false') return false;
+    return this.options.wrap;
+  },
+  
+  getCandidates(region) {
+    return Array.from(region.querySelectorAll('.button')).filter(btn => btn.offsetParent !== null);
+  },
+  
+  // 진행 방향으로 겹치지 않고 원뿔 안에 있는 후보 중 점수가 가장 낮은 버튼 선택
+  findBest(fromRect, candidates, { axis, sign }) {
+    const cross = axis === 'x' ? 'y' : 'x';
+    const center = (rect, a) => a === 'x' ? rect.left + rect.width / 2 : rect.top + rect.height / 2;
+    const start = (rect, a) => a === 'x' ? rect.left : rect.top;
+    const end = (rect, a) => a === 'x' ? rect.right : rect.bottom;
+    
+    let best = null;
+    let bestScore = Infinity;
+    
+    for (const { button, rect } of candidates) {
+      // 후보의 중심이 진행 방향 앞쪽에 있어야 함
+      const centerDelta = (center(rect, axis) - center(fromRect, axis)) * sign;
+      if (centerDelta <= 0) {
+        continue;
+      }
+      
+      // 진행 방향의 가장자리 간 간격 (현재 버튼의 앞쪽 끝 → 후보의 가까운 끝)
+      const gap = sign > 0 ? start(rect, axis) - end(fromRect, axis) : start(fromRect, axis) - end(rect, axis);
+      
+      // 수직 방향으로 투영이 겹치면 같은 행/열로 보고 어긋남 0
+      const overlap = Math.min(end(rect, cross), end(fromRect, cross)) - Math.max(start(rect, cross), start(fromRect, cross));
+      const orthogonal = overlap > 0 ? 0 : Math.abs(center(rect, cross) - center(fromRect, cross));
+      if (orthogonal > centerDelta * this.options.coneSlope) {
+        continue;
+      }
+      
+      const score = Math.max(gap, 0) + orthogonal * this.options.orthogonalWeight;
+      if (score < bestScore) {
+        bestScore = score;
+        best = button;
+      }
+    }
+    
+    return best;
+  },
+  
+  // 방향키 기준 다음 초점 대상 계산
+  findTarget(current, key) {
+    const region = this.getRegion(current);
+    const buttons = this.getCandidates(region);
+    if (buttons.length === 0) return null;
+    
+    if (key === 'Home') return buttons[0];
+    if (key === 'End') return buttons[buttons.length - 1];
+    
+    const direction = this.directions[key];
+    if (!direction) return null;
+    
+    const fromRect = current.getBoundingClientRect();
+    const candidates = buttons
+      .filter(button => button !== current)
+      .map(button => ({ button, rect: button.getBoundingClientRect() }));
+    
+    const target = this.findBest(fromRect, candidates, direction);
+    if (target || !this.shouldWrap(region)) return target;
+    
+    // 순환: 현재 위치를 영역의 반대편 바깥으로 옮긴 가상 사각형에서 다시 탐색
+    const { axis, sign } = direction;
+    const size = axis === 'x' ? fromRect.width : fromRect.height;
+    const edges = candidates.map(({ rect }) => axis === 'x'
+      ? (sign > 0 ? rect.left : rect.right)
+      : (sign > 0 ? rect.top : rect.bottom));
+    const edge = sign > 0 ? Math.min(...edges) - size - 1 : Math.max(...edges) + 1;
+    const wrappedRect = axis === 'x'
+      ? { left: edge, right: edge + size, width: size, top: fromRect.top, bottom: fromRect.bottom, height: fromRect.height }
+      : { top: edge, bottom: edge + size, height: size, left: fromRect.left, right: fromRect.right, width: fromRect.width };
+    
+    return this.findBest(wrappedRect, candidates, direction);
+  }
+};
+
+// ==============================
+// 🔀 토글 그룹
+// ==============================
+
+// data-toggle-group="single"  → radiogroup/radio + aria-checked, 항상 하나만 선택
+// data-toggle-group="multiple" → toolbar + aria-pressed, 여러 개 선택 가능
+const ToggleGroupManager = {
+  selector: '[data-toggle-group]',
+  
+  // 단일 선택 그룹별 처음 선택된 버튼 (세션 초기화 시 복원)
+  initialSelection: new WeakMap(),
+  
+  getMode(group) {
+    return group.getAttribute('data-toggle-group') === 'single' ? 'single' : 'multiple';
+  },
+  
+  // 중첩 그룹을 고려해 해당 그룹에 직접 속한 토글 버튼만 반환
+  getButtons(group) {
+    return Array.from(group.querySelectorAll('.button.toggle'))
+      .filter(button => button.closest(this.selector) === group);
+  },
+  
+  getGroup(button) {
+    return button.closest(this.selector);
+  },
+  
+  isPressed(button) {
+    return button.classList.contains('pressed');
+  },
+  
+  isDisabled(button) {
+    return button.getAttribute('aria-disabled') === 'true';
+  },
+  
+  setupGroups(root = document) {
+    const groups = Array.from(root.querySelectorAll(this.selector));
+    if (root instanceof Element && root.matches(this.selector)) groups.unshift(root);
+    groups.forEach(group => this.setupGroup(group));
+  },
+  
+  setupGroup(group) {
+    const mode = this.getMode(group);
+    const buttons = this.getButtons(group);
+    
+    group.setAttribute('role', mode === 'single' ? 'radiogroup' : 'toolbar');
+    
+    // 단일 선택 그룹은 처음 눌린 버튼 하나만 유지
+    let selected = null;
+    buttons.forEach(button => {
+      if (mode === 'single') {
+        button.setAttribute('role', 'radio');
+        button.removeAttribute('aria-pressed');
+        if (this.isPressed(button) && !selected) {
+          selected = button;
+        } else {
+          button.classList.remove('pressed');
+        }
+      } else {
+        button.removeAttribute('role');
+        button.removeAttribute('aria-checked');
+      }
+      this.syncAria(button);
+    });
+    
+    if (mode === 'single' && !this.initialSelection.has(group)) {
+      this.initialSelection.set(group, selected);
+    }
+    this.updateTabindex(group);
+  },
+  
+  syncAria(button) {
+    const pressed = this.isPressed(button) ? 'true' : 'false';
+    if (button.getAttribute('role') === 'radio') {
+      button.setAttribute('aria-checked', pressed);
+    } else {
+      button.setAttribute('aria-pressed', pressed);
+    }
+  },
+  
+  setPressed(button, pressed) {
+    const wasPressed = this.isPressed(button);
+    if (wasPressed === pressed) return;
+    
+    button.classList.toggle('pressed', pressed);
+    this.syncAria(button);
+    ButtonSystem.emit(button, BUTTON_EVENTS.TOGGLE, { oldState: wasPressed, newState: pressed });
+  },
+  
+  // 그룹 소속 토글 버튼 클릭 처리 - 그룹 버튼이 아니면 false
+  toggle(button) {
+    const group = this.getGroup(button);
+    if (!group) return false;
+    
+    if (this.getMode(group) === 'single') {
+      // 라디오와 동일하게 선택된 항목을 다시 눌러도 해제하지 않음
+      this.getButtons(group).forEach(other => {
+        if (other !== button) this.setPressed(other, false);
+      });
+      this.setPressed(button, true);
+    } else {
+      this.setPressed(button, !this.isPressed(button));
+    }
+    
+    this.updateTabindex(group, button);
+    return true;
+  },
+  
+  // 처음 상태로 복원 - 단일 선택 그룹은 처음 선택된 버튼, 다중 선택 그룹은 모두 해제
+  // keep(button)이 true인 버튼은 상태 유지
+  resetGroup(group, { keep = () => false } = {}) {
+    const initial = this.getMode(group) === 'single' ? this.initialSelection.get(group) : null;
+    this.getButtons(group).forEach(button => {
+      if (button !== initial && !keep(button)) this.setPressed(button, false);
+    });
+    if (initial?.isConnected && this.getGroup(initial) === group) this.setPressed(initial, true);
+    this.updateTabindex(group);
+  },
+  
+  // 로빙 tabindex: 그룹 안에서 하나의 버튼만 Tab 순서에 포함
+  updateTabindex(group, focusTarget = null) {
+    const buttons = this.getButtons(group);
+    const enabled = buttons.filter(button => !this.isDisabled(button));
+    const current = focusTarget
+      || enabled.find(button => this.isPressed(button))
+      || enabled[0];
+    
+    buttons.forEach(button => {
+      button.setAttribute('tabindex', button === current ? '0' : '-1');
+    });
+  },
+  
+  // 그룹 밖에서 들어올 때 초점을 받을 버튼 (tabindex="0")
+  getEntryButton(group) {
+    return this.getButtons(group).find(button => button.getAttribute('tabindex') === '0') || null;
+  },
+  
+  // 그룹 안 방향키 처리 - 처리했으면 true
+  handleKeydown(event, button) {
+    const group = this.getGroup(button);
+    if (!group) return false;
+    
+    const buttons = this.getButtons(group).filter(other => !this.isDisabled(other));
+    const index = buttons.indexOf(button);
+    if (index === -1) return false;
+    
+    let target = null;
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        target = buttons[(index + 1) % buttons.length];
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        target = buttons[(index - 1 + buttons.length) % buttons.length];
+        break;
+      case 'Home':
+        target = buttons[0];
+        break;
+      case 'End':
+        target = buttons[buttons.length - 1];
+        break;
+      default:
+        return false;
+    }
+    
+    event.preventDefault();
+    if (this.getMode(group) === 'single') {
+      // 라디오 그룹은 초점 이동과 함께 선택도 이동
+      this.toggle(target);
+    } else {
+      this.updateTabindex(group, target);
+    }
+    target.focus();
+    return true;
+  }
+};
+
+// ==============================
+// 🏭 버튼 팩토리 옵션
+// ==============================
+
+// app.css에 정의된 팔레트 클래스
+const PALETTES = ['primary1', 'primary2', 'primary3', 'secondary1', 'secondary2', 'secondary3'];
+
+// .background2 중첩 배경 레이어를 사용하는 팔레트
+const LAYERED_PALETTES = ['primary3', 'secondary3'];
+
+// 버튼 생명주기 이벤트 (모두 버블링되는 CustomEvent)
+const BUTTON_EVENTS = {
+  PRESS: 'button:press',       // 일반 버튼이 눌림 (detail.source)
+  RELEASE: 'button:release',   // 일반 버튼의 눌림 해제 (detail.source)
+  TOGGLE: 'button:toggle',     // 토글 상태 변경 (detail.oldState, detail.newState)
+  BLOCKED: 'button:blocked'    // aria-disabled 버튼의 입력 차단 (detail.originalEvent)
+};
+
+// 시스템 이벤트 (document에서 발송)
+const SYSTEM_EVENTS = {
+  ERROR: 'system:error'        // 초기화 실패 (detail.error, detail.stage) - 개발 서버 오류 오버레이가 표시
+};
+
+const buttonOptionsSchema = z.object({
+  palette: z.enum(PALETTES).default('primary1'),
+  icon: z.enum(Object.keys(iconPaths)).optional(),
+  label: z.string().min(1),
+  toggle: z.boolean().default(false),
+  pressed: z.boolean().default(false),
+  disabled: z.boolean().default(false),
+  ariaLabel: z.string().min(1).optional(),
+});
+
+// ==============================
+// ♿ 명도대비 감사
+// ==============================
+
+// WCAG 2.x 기준값 - 아이콘(비텍스트)은 AA 3:1만 규정되어 있어 AAA는 큰 텍스트 기준을 준용
+const WCAG_THRESHOLDS = {
+  text: { aa: 4.5, aaa: 7 },
+  largeText: { aa: 3, aaa: 4.5 },
+  icon: { aa: 3, aaa: 4.5 }
+};
+
+const ContrastAuditor = {
+  themes: ['light', 'dark', 'high-contrast'],
+  states: ['default', 'pressed', 'disabled'],
+  
+  // WCAG 큰 텍스트: 24px 이상 또는 18.66px 이상 굵은 글씨
+  isLargeText(style) {
+    const size = parseFloat(style.fontSize);
+    const weight = parseInt(style.fontWeight, 10) || 400;
+    return size >= 24 || (size >= 18.66 && weight >= 700);
+  },
+  
+  // 요소 아래 배경(중첩 레이어·그라디언트 포함)의 최악 명도대비로 판정
+  evaluate(element, thresholds) {
+    const foreground = getComputedStyle(element).color;
+    try {
+      const { ratio, background, best } = StyleManager.calculateElementContrast(element, foreground);
+      return {
+        foreground,
+        background: formatColor(background),
+        ratio: Number(ratio.toFixed(2)),
+        bestRatio: Number(best.toFixed(2)),
+        aa: ratio >= thresholds.aa,
+        aaa: ratio >= thresholds.aaa
+      };
+    } catch (error) {
+      return { foreground, background: null, ratio: null, aa: false, aaa: false, error: error.message };
+    }
+  },
+  
+  createProbe(palette, state) {
+    const probe = ButtonSystem.create({
+      palette,
+      label: 'Aa',
+      disabled: state === 'disabled'
+    });
+    if (state === 'pressed') probe.classList.add('pressed');
+    return probe;
+  },
+  
+  // 화면 밖 샌드박스에 팔레트 × 상태 × 테마별 측정용 버튼을 렌더링하고 대비 계산
+  audit() {
+    const sandbox = document.createElement('div');
+    sandbox.setAttribute('aria-hidden', 'true');
+    sandbox.style.cssText = 'position: fixed; left: -10000px; top: 0; visibility: hidden; pointer-events: none;';
+    document.body.appendChild(sandbox);
+    
+    const results = [];
+    
+    try {
+      for (const theme of this.themes) {
+        const container = document.createElement('div');
+        ThemeManager.apply(container, theme);
+        // 쇼케이스 행과 같은 테마 배경 - 투명한 disabled 배경은 이 위에 합성해 평가
+        container.style.background = 'var(--body2-background-color)';
+        sandbox.appendChild(container);
+        
+        const probes = [];
+        for (const palette of PALETTES) {
+          for (const state of this.states) {
+            const probe = this.createProbe(palette, state);
+            container.appendChild(probe);
+            probes.push({ palette, state, probe });
+          }
+        }
+        
+        // 모든 측정 버튼을 삽입한 뒤 한 번에 읽기
+        for (const { palette, state, probe } of probes) {
+          const label = probe.querySelector('.label');
+          const icon = probe.querySelector('.icon:not(.pressed)');
+          const large = this.isLargeText(getComputedStyle(label));
+          
+          results.push({
+            theme,
+            palette,
+            state,
+            text: {
+              ...this.evaluate(label, large ? WCAG_THRESHOLDS.largeText : WCAG_THRESHOLDS.text),
+              large
+            },
+            icon: this.evaluate(icon, WCAG_THRESHOLDS.icon)
+          });
+        }
+      }
+    } finally {
+      sandbox.remove();
+    }
+    
+    const pairs = results.flatMap(result => [result.text, result.icon]);
+    return {
+      generatedAt: new Date().toISOString(),
+      thresholds: WCAG_THRESHOLDS,
+      summary: {
+        total: pairs.length,
+        passAA: pairs.filter(pair => pair.aa).length,
+        passAAA: pairs.filter(pair => pair.aaa).length,
+        errors: pairs.filter(pair => pair.error).length
+      },
+      results
+    };
+  }
+};
+
+// ==============================
+// 🔍 명도대비 디버그 오버레이
+// ==============================
+
+// 라벨 내용은 건드리지 않고, 별도 레이어에 버튼별 명도대비 배지를 표시
+// 활성화: URL에 ?debug=contrast 또는 ButtonSystem.setContrastOverlay(true)
+const ContrastOverlay = {
+  enabled: false,
+  layer: null,
+  badges: new Map(),
+  
+  isRequestedByUrl() {
+    const debug = new URLSearchParams(window.location.search).get('debug') || '';
+    return debug.split(',').includes('contrast');
+  },
+  
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (enabled) {
+      this.update();
+    } else {
+      this.clear();
+    }
+  },
+  
+  ensureLayer() {
+    if (this.layer?.isConnected) return this.layer;
+    
+    this.layer = document.createElement('div');
+    this.layer.className = 'contrast-overlay';
+    this.layer.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(this.layer);
+    return this.layer;
+  },
+  
+  clear() {
+    this.layer?.remove();
+    this.layer = null;
+    this.badges.clear();
+  },
+  
+  removeBadges(buttons) {
+    buttons.forEach(button => {
+      this.badges.get(button)?.remove();
+      this.badges.delete(button);
+    });
+  },
+  
+  update(buttons = document.querySelectorAll('.button')) {
+    if (!this.enabled) return;
+    
+    // 읽기 단계: 모든 computed style과 위치를 먼저 읽어 레이아웃 재계산을 한 번으로 제한
+    const reads = [];
+    buttons.forEach(button => {
+      const label = button.querySelector('.label');
+      if (!label || !button.isConnected) return;
+      
+      const labelStyle = getComputedStyle(label);
+      let contrast = null;
+      let error = null;
+      try {
+        // 중첩 배경(.background2)과 그라디언트까지 반영한 최악의 대비
+        contrast = StyleManager.calculateElementContrast(label, labelStyle.color).ratio;
+      } catch (e) {
+        error = e;
+      }
+      
+      reads.push({
+        button,
+        rect: button.getBoundingClientRect(),
+        contrast,
+        error,
+        large: ContrastAuditor.isLargeText(labelStyle)
+      });
+    });
+    
+    // 쓰기 단계: 읽기가 끝난 뒤 배지를 일괄 갱신
+    const layer = this.ensureLayer();
+    reads.forEach(({ button, rect, contrast, error, large }) => {
+      let badge = this.badges.get(button);
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'contrast-badge';
+        layer.appendChild(badge);
+        this.badges.set(button, badge);
+      }
+      
+      const thresholds = large ? WCAG_THRESHOLDS.largeText : WCAG_THRESHOLDS.text;
+      if (error) {
+        badge.textContent = '?';
+        badge.dataset.level = 'error';
+        badge.title = error.message;
+      } else {
+        badge.textContent = contrast.toFixed(2);
+        badge.dataset.level = contrast >= thresholds.aaa ? 'aaa' : contrast >= thresholds.aa ? 'aa' : 'fail';
+        badge.removeAttribute('title');
+      }
+      
+      // 문서 기준 좌표로 배치해 스크롤 시 재계산 불필요
+      badge.style.left = `${rect.left + window.scrollX}px`;
+      badge.style.top = `${rect.top + window.scrollY}px`;
+    });
+  }
+};
+
+// ==============================
+// ♿ 키오스크 접근성 모드
+// ==============================
+// large  → 큰 글씨: --font-size-scale / --base-unit 확대 (app.css :root.mode-large)
+// lowpos → 낮은 화면: 조작 영역을 화면 하단 도달 범위로 이동 (app.css .mode-lowpos)
+// 같은 아이콘(data-icon="large" / "lowpos")을 가진 버튼으로 전환하며 눌림 상태를 동기화
+
+const MODE_EVENTS = {
+  CHANGE: 'mode:change'
+};
+
+const ModeManager = {
+  modes: ['large', 'lowpos'],
+  
+  state: {
+    large: false,
+    lowpos: false
+  },
+  
+  getClassName(mode) {
+    return `mode-${mode}`;
+  },
+  
+  getState() {
+    return { ...this.state };
+  },
+  
+  // 모드 아이콘을 가진 버튼 목록
+  getButtons(mode) {
+    return Array.from(document.querySelectorAll(`[data-icon="${mode}"]`), icon => icon.closest('.button'))
+      .filter(Boolean);
+  },
+  
+  // 아이콘으로 버튼이 담당하는 모드 판별
+  getModeOf(button) {
+    return this.modes.find(mode => button.querySelector(`[data-icon="${mode}"]`)) ?? null;
+  },
+  
+  // 모드 버튼의 눌림 상태를 현재 모드와 일치시킴
+  // 그룹 여부와 관계없이 setPressed를 거쳐 ARIA 동기화 + button:toggle 발생 (이미 같은 상태면 무시)
+  syncButtons(mode) {
+    const active = this.state[mode];
+    this.getButtons(mode).forEach(button => {
+      if (button.dataset.isToggleButton !== 'true') return;
+      ToggleGroupManager.setPressed(button, active);
+    });
+  },
+  
+  // 부분 지정 가능 - 생략한 모드는 현재 상태 유지
+  async setMode(options = {}) {
+    const unknown = Object.keys(options).filter(key => !this.modes.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`알 수 없는 모드입니다: ${unknown.join(', ')} (사용 가능: ${this.modes.join(', ')})`);
+    }
+    
+    const previous = this.getState();
+    const changed = this.modes.filter(mode => options[mode] !== undefined && Boolean(options[mode]) !== previous[mode]);
+    if (changed.length === 0) return previous;
+    
+    changed.forEach(mode => {
+      this.state[mode] = Boolean(options[mode]);
+      document.documentElement.classList.toggle(this.getClassName(mode), this.state[mode]);
+      this.syncButtons(mode);
+    });
+    
+    document.dispatchEvent(new CustomEvent(MODE_EVENTS.CHANGE, {
+      detail: { previous, current: this.getState(), changed }
+    }));
+    
+    // 토큰 변경이 레이아웃에 반영된 뒤 --min-side 재계산
+    await StyleManager.waitForRenderCompletion();
+    StyleManager.applyDynamicStyles();
+    
+    return this.getState();
+  },
+  
+  toggle(mode) {
+    return this.setMode({ [mode]: !this.state[mode] });
+  }
+};
+
+// ==============================
+// ⏱️ 무입력 시간 초과 (세션 초기화)
+// ==============================
+// 마지막 입력 후 timeout - warning(ms)이 지나면 카운트다운 경고를 띄우고,
+// warning(ms) 동안 응답이 없으면 idle:reset 이벤트 발생 + 토글 상태 초기화
+
+const IDLE_EVENTS = {
+  WARNING: 'idle:warning',  // 카운트다운 시작 (detail.remaining: 남은 ms)
+  EXTEND: 'idle:extend',    // 사용자가 시간을 연장
+  RESET: 'idle:reset'       // 시간 초과 또는 "처음으로" 선택 (detail.reason: 'timeout' | 'user')
+};
+
+const idleOptionsSchema = z.object({
+  enabled: z.boolean(),
+  timeout: z.number().int().positive(),
+  warning: z.number().int().nonnegative(),
+  speak: z.boolean(),   // SpeechFeedback이 켜져 있을 때 경고·초기화 음성 안내
+  visual: z.boolean()   // 카운트다운 경고창 표시
+}).refine(options => options.warning < options.timeout, {
+  message: 'warning은 timeout보다 짧아야 합니다'
+});
+
+const IdleManager = {
+  options: {
+    enabled: true,
+    timeout: 120000,
+    warning: 20000,
+    speak: true,
+    visual: true
+  },
+  
+  activityEvents: ['pointerdown', 'touchstart', 'keydown', 'wheel'],
+  
+  messages: {
+    title: '계속 이용하시겠어요?',
+    countdown: (seconds) => `${seconds}초 후 처음 화면으로 돌아갑니다.`,
+    hint: '계속하려면 시간 연장을 누르세요.',
+    extend: '시간 연장',
+    reset: '처음으로',
+    resetting: '처음 화면으로 돌아갑니다.'
+  },
+  
+  state: {
+    idleTimer: null,
+    countdownTimer: null,
+    deadline: 0,
+    warning: null,
+    previousFocus: null,
+    listening: false
+  },
+  
+  configure(options = {}) {
+    this.options = idleOptionsSchema.parse({ ...this.options, ...options });
+    // 초기화 후 입력을 기다리는 중이면 타이머를 새로 걸지 않음
+    if (this.state.listening && (this.state.idleTimer || this.isWarning())) this.restart();
+    return { ...this.options };
+  },
+  
+  isWarning() {
+    return this.state.deadline > 0;
+  },
+  
+  // 경고창 안의 입력(연장/처음으로)은 활동으로 보지 않음
+  recordActivity(event) {
+    if (!this.options.enabled) return;
+    if (this.state.warning && event?.target instanceof Node && this.state.warning.contains(event.target)) return;
+    
+    if (this.isWarning()) {
+      this.extend();
+    } else {
+      this.restart();
+    }
+  },
+  
+  start() {
+    if (!this.state.listening) {
+      this.onActivity = (event) => this.recordActivity(event);
+      this.activityEvents.forEach(type => {
+        document.addEventListener(type, this.onActivity, { capture: true, passive: true });
+      });
+      this.state.listening = true;
+    }
+    this.restart();
+  },
+  
+  stop() {
+    if (this.state.listening) {
+      this.activityEvents.forEach(type => {
+        document.removeEventListener(type, this.onActivity, { capture: true });
+      });
+      this.state.listening = false;
+    }
+    this.clearTimers();
+    this.hideWarning();
+  },
+  
+  clearTimers() {
+    clearTimeout(this.state.idleTimer);
+    clearInterval(this.state.countdownTimer);
+    this.state.idleTimer = null;
+    this.state.countdownTimer = null;
+    this.state.deadline = 0;
+  },
+  
+  // 무입력 타이머 재시작
+  restart() {
+    this.clearTimers();
+    if (!this.options.enabled) return;
+    
+    const { timeout, warning } = this.options;
+    this.state.idleTimer = setTimeout(() => this.beginCountdown(), timeout - warning);
+  },
+  
+  beginCountdown() {
+    const { warning } = this.options;
+    this.state.deadline = Date.now() + warning;
+    
+    document.dispatchEvent(new CustomEvent(IDLE_EVENTS.WARNING, { detail: { remaining: warning } }));
+    if (this.options.visual) this.showWarning();
+    if (this.options.speak) {
+      SpeechFeedback.announce(`${this.messages.countdown(Math.ceil(warning / 1000))} ${this.messages.hint}`);
+    }
+    
+    this.state.countdownTimer = setInterval(() => this.tick(), 1000);
+    this.tick();
+  },
+  
+  tick() {
+    const remaining = Math.max(0, this.state.deadline - Date.now());
+    if (remaining === 0) {
+      this.reset('timeout');
+      return;
+    }
+    this.updateWarning(remaining);
+  },
+  
+  extend() {
+    this.hideWarning();
+    this.restart();
+    document.dispatchEvent(new CustomEvent(IDLE_EVENTS.EXTEND));
+  },
+  
+  // 세션 초기화: 토글 상태 복원 후 idle:reset 발생 (처음 화면 전환은 이벤트 수신 측에서 처리)
+  // 무인 상태에서 경고가 반복되지 않도록 타이머는 다음 사용자 입력 때 다시 시작 (recordActivity)
+  reset(reason = 'user') {
+    this.clearTimers();
+    this.hideWarning({ restoreFocus: false });
+    
+    this.clearToggles();
+    if (this.options.speak) SpeechFeedback.announce(this.messages.resetting);
+    
+    document.dispatchEvent(new CustomEvent(IDLE_EVENTS.RESET, { detail: { reason } }));
+    window.scrollTo?.(0, 0);
+  },
+  
+  // 토글 버튼을 처음 상태로 - 그룹 밖 토글은 해제, 단일 선택 그룹은 처음 선택으로 복원
+  // TOGGLE 이벤트가 발생하므로 모드도 함께 꺼짐
+  // 음성 안내 토글(data-icon="volume")은 유지 - 초기화 안내가 끊기지 않고, 음성에 의존하는 사용자가 다시 켤 필요 없음
+  clearToggles(root = document) {
+    const keep = (button) => Boolean(button.querySelector('[data-icon="volume"]'));
+    const groups = new Set();
+    root.querySelectorAll('.button[data-is-toggle-button="true"]').forEach(button => {
+      const group = ToggleGroupManager.getGroup(button);
+      if (group) {
+        groups.add(group);
+      } else if (!keep(button)) {
+        ToggleGroupManager.setPressed(button, false);
+      }
+    });
+    groups.forEach(group => ToggleGroupManager.resetGroup(group, { keep }));
+  },
+  
+  // ==============================
+  // 카운트다운 경고창
+  // ==============================
+  
+  showWarning() {
+    if (this.state.warning) return;
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'idle-warning';
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'idle-warning-title');
+    dialog.setAttribute('aria-describedby', 'idle-warning-countdown');
+    dialog.setAttribute('data-nav-region', '');
+    
+    const panel = document.createElement('div');
+    panel.className = 'idle-warning-panel';
+    
+    const icon = document.createElement('span');
+    icon.className = 'icon';
+    icon.dataset.icon = 'time';
+    icon.setAttribute('aria-hidden', 'true');
+    
+    const title = document.createElement('h2');
+    title.id = 'idle-warning-title';
+    title.textContent = this.messages.title;
+    
+    // role="timer"는 기본적으로 낭독하지 않음 - 시작 시 alertdialog로 한 번만 안내
+    const countdown = document.createElement('p');
+    countdown.id = 'idle-warning-countdown';
+    countdown.setAttribute('role', 'timer');
+    
+    const actions = document.createElement('div');
+    actions.className = 'idle-warning-actions';
+    const extendButton = ButtonSystem.create({ palette: 'primary1', icon: 'restart', label: this.messages.extend });
+    const resetButton = ButtonSystem.create({ palette: 'secondary1', icon: 'reset', label: this.messages.reset });
+    extendButton.addEventListener('click', () => this.extend());
+    resetButton.addEventListener('click', () => this.reset('user'));
+    actions.append(extendButton, resetButton);
+    
+    panel.append(icon, title, countdown, actions);
+    dialog.append(panel);
+    dialog.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.extend();
+      if (event.key === 'Tab') this.trapFocus(event);
+    });
+    SVGLoader.injectIcons(dialog);
+    
+    this.state.previousFocus = document.activeElement;
+    this.state.warning = dialog;
+    document.body.appendChild(dialog);
+    // 포인터 등으로 초점이 경고창 밖으로 나가면 다시 안으로
+    this.onFocusOutside = (event) => {
+      if (event.target instanceof Node && !dialog.contains(event.target)) this.getFocusable(dialog)[0]?.focus();
+    };
+    document.addEventListener('focusin', this.onFocusOutside);
+    extendButton.focus();
+  },
+  
+  getFocusable(dialog) {
+    return Array.from(dialog.querySelectorAll('button, [tabindex]:not([tabindex="-1"])'))
+      .filter(el => !el.disabled && el.getAttribute('aria-disabled') !== 'true');
+  },
+  
+  // aria-modal 경고창: Tab/Shift+Tab 초점을 경고창 안에서 순환
+  trapFocus(event) {
+    const focusable = this.getFocusable(this.state.warning);
+    if (focusable.length === 0) return;
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const index = focusable.indexOf(document.activeElement);
+    if (event.shiftKey && index <= 0) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (index === -1 || index === focusable.length - 1)) {
+      event.preventDefault();
+      first.focus();
+    }
+  },
+  
+  updateWarning(remaining) {
+    const countdown = this.state.warning?.querySelector('#idle-warning-countdown');
+    if (countdown) countdown.textContent = this.messages.countdown(Math.ceil(remaining / 1000));
+  },
+  
+  hideWarning({ restoreFocus = true } = {}) {
+    const dialog = this.state.warning;
+    if (!dialog) return;
+    
+    this.state.warning = null;
+    document.removeEventListener('focusin', this.onFocusOutside);
+    dialog.remove();
+    SVGLoader.unobserveIcons(dialog);
+    if (restoreFocus && this.state.previousFocus?.isConnected) this.state.previousFocus.focus();
+    this.state.previousFocus = null;
+  }
+};
+
+// ==============================
+// 🔘 버튼 시스템
+// ==============================
+
+const ButtonSystem = {
+  
+  state: {
+    styleCache: new WeakMap(),
+    resizeObserver: null,
+    domObserver: null
+  },
+  
+  StyleManager,
+  
+  PALETTES,
+  
+  EVENTS: BUTTON_EVENTS,
+  
+  SpatialNavigator,
+  
+  ToggleGroupManager,
+  
+  ContrastAuditor,
+  
+  // 전체 팔레트 × 상태(default/pressed/disabled) × 테마(light/dark/high-contrast) 명도대비 보고서
+  auditContrast() {
+    return ContrastAuditor.audit();
+  },
+  
+  ContrastOverlay,
+  
+  ThemeManager,
+  
+  ModeManager,
+  
+  // 키오스크 접근성 모드 전환 ({ large, lowpos } 부분 지정 가능)
+  setMode(options) {
+    return ModeManager.setMode(options);
+  },
+  
+  SpeechFeedback,
+  
+  IdleManager,
+  
+  IDLE_EVENTS,
+  
+  SYSTEM_EVENTS,
+  
+  // 무입력 시간 초과 설정 ({ enabled, timeout, warning, speak, visual } 부분 지정 가능)
+  configureIdle(options) {
+    return IdleManager.configure(options);
+  },
   
-  get iconMap() {
-    return createIconMap();
+  // 음성 안내 설정 ({ enabled, volume, rate, lang, adapter } 부분 지정 가능)
+  configureSpeech(options) {
+    return SpeechFeedback.configure(options);
   },
   
-  convertToCurrentColor(svgMarkup) {
-    return svgMarkup
-      .replace(/fill="(?!none|transparent)[^"]*"/gi, 'fill="currentColor"')
-      .replace(/stroke="(?!none|transparent)[^"]*"/gi, 'stroke="currentColor"')
-      .replace(/fill='(?!none|transparent)[^']*'/gi, "fill='currentColor'")
-      .replace(/stroke='(?!none|transparent)[^']*'/gi, "stroke='currentColor'")
-      .replace(/fill:\s*(?!none|transparent)[^;}\s]+/gi, 'fill: currentColor')
-      .replace(/stroke:\s*(?!none|transparent)[^;}\s]+/gi, 'stroke: currentColor');
+  OfflineManager,
+  
+  OFFLINE_EVENTS,
+  
+  // 새 버전 설치 완료 알림 (해제 함수 반환), OfflineManager.applyUpdate()로 적용
+  onUpdateAvailable(handler) {
+    return OfflineManager.onUpdateAvailable(handler);
   },
   
-  async preloadAllIcons() {
-    const loadPromises = Object.entries(this.iconMap).map(async ([key, config]) => {
-      try {
-        const response = await fetch(config.path);
-        if (!response.ok) throw new Error(`SVG not found: ${config.path}`);
-        const svgMarkup = await response.text();
-        this.cache.set(key, svgMarkup);
-        console.log(`✅ Loaded ${key} icon`);
-      } catch (error) {
-        console.warn(`⚠️ Failed to load ${key} icon from ${config.path}, using fallback`);
-        try {
-          const fallbackPath = getIconPath(fallbackIcon);
-          const fallback = await fetch(fallbackPath);
-          if (fallback.ok) {
-            this.cache.set(key, await fallback.text());
-          } else {
-            this.cache.set(key, '');
-          }
-        } catch (fallbackError) {
-          console.error(`❌ Fallback also failed for ${key}`);
-          this.cache.set(key, '');
-        }
-      }
-    });
-    
-    await Promise.all(loadPromises);
+  // 테마 지정 ('light' | 'dark' | 'high-contrast' | 'system'), root 지정 시 하위 트리에만 적용
+  setTheme(theme, options) {
+    ThemeManager.setTheme(theme, options);
   },
   
-  injectAllIcons() {
-    // 1단계: data-icon 속성이 있는 요소에 해당 아이콘 주입
-    Object.entries(this.iconMap).forEach(([key, config]) => {
-      // 토글 아이콘은 CSS content로 처리하므로 JavaScript 인젝션 제외
-      if (key === 'toggle') {
-        return;
-      }
-      
-      const svgMarkup = this.cache.get(key);
-      if (!svgMarkup) {
-        console.warn(`⚠️ No cached SVG for ${key}`);
-        return;
-      }
-      
-      const processedSvg = this.convertToCurrentColor(svgMarkup);
-      
-      const targets = document.querySelectorAll(config.selector);
-      if (targets.length === 0) {
-        console.log(`ℹ️ No elements found for selector: ${config.selector}`);
-      }
-      
-      targets.forEach(el => {
-        // .toggle .icon.pressed는 CSS로 처리하므로 제외
-        if (el.closest('.toggle') && el.classList.contains('pressed')) {
-          return;
-        }
-        el.innerHTML = processedSvg;
-      });
-    });
-    
-    // 2단계: data-icon 속성이 없는 .icon 요소에 기본 아이콘(placeholder) 주입
-    const defaultIcon = this.cache.get(fallbackIcon);
-    if (defaultIcon) {
-      const processedDefaultIcon = this.convertToCurrentColor(defaultIcon);
-      const iconElementsWithoutDataIcon = document.querySelectorAll('.icon:not([data-icon])');
-      
-      iconElementsWithoutDataIcon.forEach(el => {
-        // .toggle .icon.pressed는 CSS로 처리하므로 제외
-        if (el.closest('.toggle') && el.classList.contains('pressed')) {
-          return;
-        }
-        // 이미 SVG가 주입되어 있지 않은 경우에만 주입
-        if (!el.innerHTML.trim()) {
-          el.innerHTML = processedDefaultIcon;
-        }
-      });
-    }
-    
-    console.log('✅ All icons injected to DOM (converted to currentColor)');
+  // 개발용 명도대비 배지 레이어 표시 여부
+  setContrastOverlay(enabled) {
+    ContrastOverlay.setEnabled(enabled);
+  },
+  
+  // 방향키 네비게이션 설정 변경 (wrap, coneSlope, orthogonalWeight)
+  configureNavigation(options) {
+    return SpatialNavigator.configure(options);
   },
   
-  async loadAndInject() {
-    await this.preloadAllIcons();
-    this.injectAllIcons();
-  }
-};
-
-// ==============================
-// 🎨 버튼 스타일 관리자
-// ==============================
-
-const StyleManager = {
   // ==============================
-  // 헬퍼 함수
+  // 버튼 이벤트
   // ==============================
   
-  async waitForRenderCompletion() {
-    return new Promise((resolve) => {
-      requestAnimationFrame(() => {
-        requestAnimationFrame(() => {
-          setTimeout(() => {
-            resolve();
-          }, 16);
-        });
-      });
-    });
+  // 버튼에서 버블링되는 CustomEvent 발송 (detail.button에 대상 버튼 포함)
+  emit(button, type, detail = {}) {
+    return button.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      composed: true,
+      detail: { button, ...detail }
+    }));
+  },
+  
+  // 버튼 이벤트 구독 - 해제 함수 반환
+  on(type, handler, { root = document } = {}) {
+    if (!Object.values(BUTTON_EVENTS).includes(type)) {
+      throw new Error(`알 수 없는 버튼 이벤트: ${type}`);
+    }
+    root.addEventListener(type, handler);
+    return () => root.removeEventListener(type, handler);
   },
   
   // ==============================
-  // 명도대비 계산
+  // 버튼 팩토리
   // ==============================
   
-  calculateContrastRGBA(r1, g1, b1, r2, g2, b2) {
-    const getLuminance = (r, g, b) => {
-      const [rs, gs, bs] = [r, g, b].map(c => {
-        c = c / 255;
-        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-      });
-      return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
-    };
+  // index.html의 버튼 마크업과 동일한 구조의 버튼 생성 (옵션 오류 시 ZodError)
+  create(options) {
+    const { palette, icon, label, toggle, pressed, disabled, ariaLabel } = buttonOptionsSchema.parse(options);
     
-    const lum1 = getLuminance(r1, g1, b1);
-    const lum2 = getLuminance(r2, g2, b2);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `button ${palette}`;
+    if (toggle) {
+      button.classList.add('toggle');
+      if (pressed) button.classList.add('pressed');
+    }
+    button.setAttribute('aria-label', ariaLabel ?? label);
+    if (disabled) {
+      button.setAttribute('aria-disabled', 'true');
+    }
     
-    const brightest = Math.max(lum1, lum2);
-    const darkest = Math.min(lum1, lum2);
-    const contrastRatio = (brightest + 0.05) / (darkest + 0.05);
+    const iconEl = document.createElement('span');
+    iconEl.className = 'icon';
+    iconEl.setAttribute('aria-hidden', 'true');
+    if (icon) {
+      iconEl.dataset.icon = icon;
+    }
     
-    return contrastRatio;
-  },
-
-  calculateContrast(color1, color2) {
-    const getRGB = (color) => {
-      if (!color || color === 'transparent') {
-        throw new Error('유효하지 않은 색상 값입니다');
-      }
-      
-      const rgbaMatch = color.match(/rgba?\(\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)/);
-      if (rgbaMatch) {
-        return [
-          Math.round(parseFloat(rgbaMatch[1])),
-          Math.round(parseFloat(rgbaMatch[2])),
-          Math.round(parseFloat(rgbaMatch[3]))
-        ];
-      }
-      
-      if (color.startsWith('#')) {
-        const hex = color.replace('#', '');
-        if (hex.length >= 6) {
-          return [
-            parseInt(hex.substr(0, 2), 16),
-            parseInt(hex.substr(2, 2), 16),
-            parseInt(hex.substr(4, 2), 16)
-          ];
-        }
-      }
-      
-      throw new Error(`색상 파싱 실패: ${color}`);
-    };
+    const labelEl = document.createElement('span');
+    labelEl.className = 'label';
+    labelEl.textContent = label;
     
-    const [r1, g1, b1] = getRGB(color1);
-    const [r2, g2, b2] = getRGB(color2);
+    // primary3/secondary3는 아이콘과 라벨을 .background2 레이어 안에 배치
+    if (LAYERED_PALETTES.includes(palette)) {
+      const background2 = document.createElement('span');
+      background2.className = 'background2';
+      background2.setAttribute('aria-hidden', 'true');
+      background2.append(iconEl, labelEl);
+      button.append(background2);
+    } else {
+      button.append(iconEl, labelEl);
+    }
     
-    return this.calculateContrastRGBA(r1, g1, b1, r2, g2, b2);
+    // 아이콘 주입과 토글 구조(.icon.pressed, aria-pressed)는 DOM 삽입 전에 미리 구성
+    SVGLoader.injectIcons(button);
+    this.StyleManager.setupToggleButton(button);
+    
+    return button;
   },
   
   // ==============================
-  // 업데이트 관리
+  // 런타임 버튼 업그레이드
   // ==============================
   
-  scheduleUpdate() {
-    this.waitForRenderCompletion().then(() => {
-      this.updateButtonLabels();
+  // 초기화 이후 DOM에 추가된 버튼을 초기 버튼과 동일하게 구성
+  upgradeButtons(buttons) {
+    if (buttons.length === 0) return;
+    
+    const groups = new Set();
+    buttons.forEach(button => {
+      SVGLoader.injectIcons(button);
+      this.StyleManager.setupToggleButton(button);
+      const group = ToggleGroupManager.getGroup(button);
+      if (group) groups.add(group);
     });
+    groups.forEach(group => ToggleGroupManager.setupGroup(group));
+    // 크기 측정은 ResizeObserver의 최초 통지에서 처리
+    this.StyleManager.observeButtons(buttons);
   },
   
-  updateButtonLabels() {
-    const allButtons = document.querySelectorAll('.button');
-    
-    allButtons.forEach(button => {
-      const label = button.querySelector('.label');
-      
-      if (label) {
-        const buttonStyle = getComputedStyle(button);
-        const labelStyle = getComputedStyle(label);
-        const backgroundColor = buttonStyle.backgroundColor;
-        const textColor = labelStyle.color;
-        
-        const contrast = this.calculateContrast(textColor, backgroundColor);
-        const contrastRatio = contrast.toFixed(2);
-        
-        let labelText = label.innerHTML.split('<br>')[0];
-        label.innerHTML = `${labelText}<br>${contrastRatio}`;
-      }
+  // DOM에서 제거된 버튼의 관찰 해제 및 캐시 정리
+  teardownButtons(buttons) {
+    this.StyleManager.unobserveButtons(buttons);
+    ContrastOverlay.removeBadges(buttons);
+    buttons.forEach(button => {
+      this.state.styleCache.delete(button);
+      SVGLoader.unobserveIcons(button);
     });
   },
   
-  setupUpdateManager() {
+  setupDomObserver() {
+    const collectButtons = (nodes, into) => {
+      nodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        if (node.classList.contains('button')) into.add(node);
+        node.querySelectorAll('.button').forEach(button => into.add(button));
+      });
+    };
+    
     const observer = new MutationObserver((mutations) => {
-      let needsUpdate = false;
+      const added = new Set();
+      const removed = new Set();
       
       mutations.forEach(mutation => {
-        const target = mutation.target;
-        
-        if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
-          if (target.classList.contains('button')) {
-            needsUpdate = true;
-          }
-        }
-        
-        if (mutation.type === 'attributes' && mutation.attributeName === 'style') {
-          if (target === document.documentElement) {
-            needsUpdate = true;
-          }
-        }
+        collectButtons(mutation.addedNodes, added);
+        collectButtons(mutation.removedNodes, removed);
       });
       
-      if (needsUpdate) {
-        this.scheduleUpdate();
-      }
+      // 같은 배치에서 이동된 버튼(제거 후 재삽입)은 DOM 연결 여부로 판별
+      const upgraded = [...added].filter(button => button.isConnected);
+      const detached = [...removed].filter(button => !button.isConnected);
+      
+      this.teardownButtons(detached);
+      this.upgradeButtons(upgraded);
     });
     
-    document.querySelectorAll('.button').forEach(button => {
-      observer.observe(button, {
-        attributes: true,
-        attributeFilter: ['class']
-      });
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true
     });
     
-    observer.observe(document.documentElement, {
-      attributes: true,
-      attributeFilter: ['style']
-    });
+    this.state.domObserver = observer;
     return observer;
   },
   
-  // ==============================
-  // 동적 스타일 적용
-  // ==============================
-  
-  applyDynamicStyles() {
-    const allButtons = document.querySelectorAll('.button');
-    if (allButtons.length === 0) return;
-    
-    for (const button of allButtons) {
-      const rect = button.getBoundingClientRect();
-      const minSide = Math.min(rect.width, rect.height);
-
-      const cached = ButtonSystem.state.styleCache.get(button) || {};
-      const needsUpdate = (cached.minSide || 0) !== minSide;
-
-      if (!needsUpdate) continue;
-
-      // --min-side CSS 변수만 설정, 나머지는 CSS에서 --min-side 기반으로 계산
-      button.style.setProperty('--min-side', `${minSide}px`);
-
-      ButtonSystem.state.styleCache.set(button, {
-        minSide
-      });
-    }
-    
-    this.updateButtonLabels();
-  },
-  
-  // ==============================
-  // 아이콘 인젝션 설정
-  // ==============================
-  
-  async setupIconInjection() {
-    await this.waitForRenderCompletion();
-    
-    const allButtons = document.querySelectorAll('.button');
-    
-    for (const button of allButtons) {
-      const isToggleButton = button.classList.contains('toggle');
-      
-      if (isToggleButton) {
-        // .icon.pressed 요소 생성
-        let iconPressedSpan = button.querySelector('.icon.pressed');
-        
-        if (!iconPressedSpan) {
-          iconPressedSpan = document.createElement('span');
-          iconPressedSpan.className = 'icon pressed';
-          
-          const iconEl = button.querySelector('.icon:not(.pressed)');
-          if (iconEl && iconEl.parentNode) {
-            button.insertBefore(iconPressedSpan, iconEl);
-          } else {
-            button.insertBefore(iconPressedSpan, button.firstChild);
-          }
-        }
-        
-        // 토글 버튼 속성 설정
-        const isInitiallyPressed = button.classList.contains('pressed');
-        button.dataset.isToggleButton = 'true';
-        button.setAttribute('aria-pressed', isInitiallyPressed ? 'true' : 'false');
-      }
-    }
-  }
-};
-
-// ==============================
-// 🔘 버튼 시스템
-// ==============================
-
-const ButtonSystem = {
-  
-  state: {
-    styleCache: new WeakMap()
-  },
-  
-  StyleManager,
-  
   async init() {
     console.log('🔘 [ButtonSystem] 초기화 시작');
     const initStart = performance.now();
     
-    // 1단계: SVG 로딩 및 DOM 주입
-    console.log('  ├─ 1단계: SVG 로딩 및 DOM 주입');
-    const svgStart = performance.now();
-    await SVGLoader.loadAndInject();
-    console.log(`  ✅ SVG 로딩 완료 (${(performance.now() - svgStart).toFixed(2)}ms)`);
+    // 저장된 테마 또는 시스템 설정 적용 (측정 전에 색상 확정)
+    ThemeManager.init();
+    
+    // ?debug=contrast 요청 시 명도대비 오버레이 활성화
+    if (ContrastOverlay.isRequestedByUrl()) {
+      ContrastOverlay.enabled = true;
+    }
+    
+    // 1단계: 아이콘 참조 주입 (심볼은 화면에 들어올 때 비동기 로드 - 초기화를 기다리게 하지 않음)
+    console.log('  ├─ 1단계: 아이콘 참조 주입');
+    SVGLoader.injectAllIcons();
+    console.log('  ✅ 아이콘 참조 주입 완료');
     
     // 2단계: 토글 버튼 구조 준비
     console.log('  ├─ 2단계: 토글 버튼 구조 준비');
     await this.StyleManager.setupIconInjection();
+    ToggleGroupManager.setupGroups();
     console.log('  ✅ 토글 버튼 준비 완료');
     
     // 3단계: 동적 스타일 적용
     console.log('  ├─ 3단계: 동적 스타일 적용');
     this.StyleManager.applyDynamicStyles();
+    this.StyleManager.setupResizeObserver();
+    ContrastOverlay.update();
     console.log('  ✅ 동적 스타일 적용 완료');
     
     // 4단계: 자동 업데이트 매니저 설정
@@ -370,6 +1835,11 @@ const ButtonSystem = {
     this.StyleManager.setupUpdateManager();
     console.log('  ✅ 업데이트 매니저 설정 완료');
     
+    // 5단계: 런타임 DOM 변경 감시
+    console.log('  ├─ 5단계: 런타임 DOM 변경 감시');
+    this.setupDomObserver();
+    console.log('  ✅ DOM 감시 설정 완료');
+    
     const initEnd = performance.now();
     console.log(`🎉 [ButtonSystem] 초기화 완료 (총 ${(initEnd - initStart).toFixed(2)}ms)`);
   }
@@ -417,6 +1887,7 @@ const initializeApp = async () => {
     await ButtonSystem.init();
   } catch (error) {
     console.error('❌ [app.js] 시스템 초기화 실패:', error);
+    document.dispatchEvent(new CustomEvent(SYSTEM_EVENTS.ERROR, { detail: { error, stage: 'init' } }));
     throw error;
   }
 
@@ -425,19 +1896,36 @@ const initializeApp = async () => {
   // ==============================
 
   // ==============================
-  // 리사이즈 이벤트
+  // 🌓 테마 전환 버튼 (data-icon="contrast")
   // ==============================
   
-  let resizeScheduled = false;
-  window.addEventListener("resize", () => {
-    if (resizeScheduled) return;
-    resizeScheduled = true;
-    requestAnimationFrame(() => {
-      ButtonSystem.StyleManager.applyDynamicStyles();
-      resizeScheduled = false;
-    });
+  document.addEventListener('click', (event) => {
+    const button = event.target?.closest?.('.button');
+    if (!button || button.getAttribute('aria-disabled') === 'true' ||
+        !button.querySelector('[data-icon="contrast"]')) return;
+
+    ThemeManager.cycle();
+  }, false);
+
+  // ==============================
+  // 🔠 접근성 모드 버튼 (data-icon="large" / "lowpos")
+  // ==============================
+  
+  // 토글 버튼은 눌림 상태를, 일반 버튼은 클릭마다 모드를 전환
+  document.addEventListener(BUTTON_EVENTS.TOGGLE, (event) => {
+    const mode = ModeManager.getModeOf(event.detail.button);
+    if (mode) ModeManager.setMode({ [mode]: event.detail.newState });
   });
 
+  document.addEventListener('click', (event) => {
+    const button = event.target?.closest?.('.button');
+    if (!button || button.getAttribute('aria-disabled') === 'true' ||
+        button.dataset.isToggleButton === 'true') return;
+
+    const mode = ModeManager.getModeOf(button);
+    if (mode) ModeManager.toggle(mode);
+  }, false);
+
   // ==============================
   // 토글 버튼 이벤트
   // ==============================
@@ -447,20 +1935,76 @@ const initializeApp = async () => {
     if (!button || button.getAttribute('aria-disabled') === 'true' || 
         button.dataset.isToggleButton !== 'true') return;
 
-    const wasPressed = button.classList.contains('pressed');
-
-    if (wasPressed) {
-      button.classList.remove('pressed');
-      button.setAttribute('aria-pressed', 'false');
-    } else {
-      button.classList.add('pressed');
-      button.setAttribute('aria-pressed', 'true');
+    // 토글 그룹 소속 버튼은 그룹 규칙(단일/다중 선택)에 따라 처리
+    if (ToggleGroupManager.toggle(button)) {
+      ButtonSystem.StyleManager.scheduleUpdate();
+      return;
     }
+
+    // 그룹 밖 토글도 같은 경로로 ARIA 동기화 + button:toggle 발생
+    ToggleGroupManager.setPressed(button, !ToggleGroupManager.isPressed(button));
     
     // 상태 변경 후 명도대비 업데이트
     ButtonSystem.StyleManager.scheduleUpdate();
   }, false);
 
+  // ==============================
+  // 음성 안내 (data-icon="volume" 버튼으로 켜고 끔)
+  // ==============================
+  
+  document.addEventListener(BUTTON_EVENTS.TOGGLE, (event) => {
+    if (event.detail.button.querySelector('[data-icon="volume"]')) {
+      SpeechFeedback.setEnabled(event.detail.newState);
+    }
+  });
+
+  // 클릭 처리 전 음성 안내 상태 (이 클릭으로 켜졌는지 판별)
+  let speechWasEnabled = false;
+  document.addEventListener('click', () => {
+    speechWasEnabled = SpeechFeedback.isEnabled();
+  }, true);
+
+  // 토글 처리 뒤에 등록해 변경된 눌림 상태를 읽음
+  document.addEventListener('click', (event) => {
+    const button = event.target?.closest?.('.button');
+    // 클릭 처리 중 제거된 버튼(경고창 닫기 등)은 읽지 않음
+    if (!button?.isConnected) return;
+
+    if (button.dataset.isToggleButton !== 'true' && button.querySelector('[data-icon="volume"]')) {
+      SpeechFeedback.setEnabled(!SpeechFeedback.isEnabled());
+    }
+    // 방금 켠 경우 시작 안내("음성 안내를 시작합니다")가 끊기지 않도록 버튼은 읽지 않음
+    if (!speechWasEnabled && SpeechFeedback.isEnabled()) return;
+    SpeechFeedback.announceButton(button);
+  }, false);
+
+  document.addEventListener('focusin', (event) => {
+    const button = event.target?.closest?.('.button');
+    if (button) SpeechFeedback.announceButton(button);
+  });
+
+  // 비활성 버튼은 클릭이 차단되므로 차단 이벤트에서 안내
+  document.addEventListener(BUTTON_EVENTS.BLOCKED, (event) => {
+    SpeechFeedback.announceButton(event.detail.button);
+  });
+
+  // ==============================
+  // 무입력 시간 초과 감시
+  // ==============================
+  
+  IdleManager.start();
+
+  // ==============================
+  // 오프라인 지원 (서비스 워커)
+  // ==============================
+  
+  // 개발 서버에서는 매 빌드 결과를 바로 받도록 워커를 쓰지 않음
+  if (process.env.NODE_ENV === 'production') {
+    OfflineManager.register();
+  } else {
+    OfflineManager.unregisterAll();
+  }
+
   // ==============================
   // 비활성 버튼 이벤트 차단
   // ==============================
@@ -471,6 +2015,7 @@ const initializeApp = async () => {
       event.preventDefault();
       event.stopPropagation();
       if (typeof event.stopImmediatePropagation === 'function') event.stopImmediatePropagation();
+      ButtonSystem.emit(disabledButton, BUTTON_EVENTS.BLOCKED, { originalEvent: event });
       return true;
     }
     return false;
@@ -488,6 +2033,7 @@ const initializeApp = async () => {
     if (disabledButton && (event.key === ' ' || event.key === 'Enter' || event.key === 'NumpadEnter')) {
       event.preventDefault();
       event.stopPropagation();
+      ButtonSystem.emit(disabledButton, BUTTON_EVENTS.BLOCKED, { originalEvent: event });
       return;
     }
 
@@ -509,8 +2055,10 @@ const initializeApp = async () => {
           enabledButton.dispatchEvent(clickEvent);
         } else {
           enabledButton.classList.add('pressed');
+          ButtonSystem.emit(enabledButton, BUTTON_EVENTS.PRESS, { source: 'keyboard' });
           setTimeout(() => {
             enabledButton.classList.remove('pressed');
+            ButtonSystem.emit(enabledButton, BUTTON_EVENTS.RELEASE, { source: 'keyboard' });
             const clickEvent = new MouseEvent('click', {
               bubbles: true,
               cancelable: true,
@@ -523,7 +2071,7 @@ const initializeApp = async () => {
     }
   }, true);
 
-  // 방향키 네비게이션 (초점 이동)
+  // 방향키 네비게이션 (버튼의 실제 위치 기반 초점 이동)
   document.addEventListener('keydown', (event) => {
     const focusedButton = document.activeElement;
     const isArrowKey = ['ArrowDown', 'ArrowUp', 'ArrowRight', 'ArrowLeft', 'Home', 'End'].includes(event.key);
@@ -537,75 +2085,22 @@ const initializeApp = async () => {
       return;
     }
 
-    if (!focusedButton || !focusedButton.classList.contains('button')) {
+    if (!isArrowKey || !focusedButton || !focusedButton.classList.contains('button')) {
       return;
     }
 
-    let targetButton = null;
-    const allButtons = Array.from(document.querySelectorAll('.button')).filter(btn => 
-      btn.offsetParent !== null
-    );
-    
-    if (allButtons.length === 0) return;
-    
-    const currentIndex = allButtons.indexOf(focusedButton);
-    if (currentIndex === -1) return;
+    // 토글 그룹 안에서는 그룹 내부로만 이동 (로빙 tabindex)
+    if (ToggleGroupManager.handleKeydown(event, focusedButton)) {
+      return;
+    }
 
-    switch (event.key) {
-      case 'ArrowRight':
-        event.preventDefault();
-        const nextIndex = (currentIndex + 1) % allButtons.length;
-        targetButton = allButtons[nextIndex];
-        break;
-        
-      case 'ArrowLeft':
-        event.preventDefault();
-        const prevIndex = currentIndex === 0 ? allButtons.length - 1 : currentIndex - 1;
-        targetButton = allButtons[prevIndex];
-        break;
+    event.preventDefault();
+    let targetButton = SpatialNavigator.findTarget(focusedButton, event.key);
 
-      case 'ArrowDown':
-        event.preventDefault();
-        const currentContainer = focusedButton.closest('.showcase');
-        
-        for (let i = 1; i < allButtons.length; i++) {
-          const nextIndex = (currentIndex + i) % allButtons.length;
-          const nextButton = allButtons[nextIndex];
-          const nextContainer = nextButton.closest('.showcase');
-          
-          if (nextContainer !== currentContainer) {
-            targetButton = nextButton;
-            break;
-          }
-        }
-        break;
-        
-      case 'ArrowUp':
-        event.preventDefault();
-        const currentContainerUp = focusedButton.closest('.showcase');
-        
-        for (let i = 1; i < allButtons.length; i++) {
-          const prevIndex = (currentIndex - i + allButtons.length) % allButtons.length;
-          const prevButton = allButtons[prevIndex];
-          const prevContainer = prevButton.closest('.showcase');
-          
-          if (prevContainer !== currentContainerUp) {
-            const buttonsInPrevContainer = allButtons.filter(btn => btn.closest('.showcase') === prevContainer);
-            targetButton = buttonsInPrevContainer[0];
-            break;
-          }
-        }
-        break;
-        
-      case 'Home':
-        event.preventDefault();
-        targetButton = allButtons[0];
-        break;
-        
-      case 'End':
-        event.preventDefault();
-        targetButton = allButtons[allButtons.length - 1];
-        break;
+    // 다른 토글 그룹으로 진입할 때는 그룹의 대표 버튼으로 초점 이동
+    const targetGroup = targetButton && ToggleGroupManager.getGroup(targetButton);
+    if (targetGroup) {
+      targetButton = ToggleGroupManager.getEntryButton(targetGroup) || targetButton;
     }
 
     if (targetButton) {
@@ -622,6 +2117,7 @@ const initializeApp = async () => {
     const button = event.target?.closest?.('.button');
     if (button && button.getAttribute('aria-disabled') !== 'true' && !button.classList.contains('toggle')) {
       button.classList.add('pressed');
+      ButtonSystem.emit(button, BUTTON_EVENTS.PRESS, { source: 'mouse' });
     }
   }, true);
 
@@ -630,6 +2126,7 @@ const initializeApp = async () => {
     const button = event.target?.closest?.('.button');
     if (button && button.classList.contains('pressed') && !button.classList.contains('toggle')) {
       button.classList.remove('pressed');
+      ButtonSystem.emit(button, BUTTON_EVENTS.RELEASE, { source: 'mouse' });
       
       // 상태 변경 후 명도대비 업데이트
       ButtonSystem.StyleManager.scheduleUpdate();
@@ -642,6 +2139,7 @@ const initializeApp = async () => {
       const button = event.target?.closest?.('.button');
       if (button && button.classList.contains('pressed') && !button.classList.contains('toggle')) {
         button.classList.remove('pressed');
+        ButtonSystem.emit(button, BUTTON_EVENTS.RELEASE, { source: 'mouse' });
         
         // 상태 변경 후 업데이트
         ButtonSystem.StyleManager.scheduleUpdate();
@@ -658,6 +2156,7 @@ const initializeApp = async () => {
     const button = event.target?.closest?.('.button');
     if (button && button.getAttribute('aria-disabled') !== 'true' && !button.classList.contains('toggle')) {
       button.classList.add('pressed');
+      ButtonSystem.emit(button, BUTTON_EVENTS.PRESS, { source: 'touch' });
     }
   }, { passive: true });
 
@@ -666,6 +2165,7 @@ const initializeApp = async () => {
     const button = event.target?.closest?.('.button');
     if (button && button.classList.contains('pressed') && !button.classList.contains('toggle')) {
       button.classList.remove('pressed');
+      ButtonSystem.emit(button, BUTTON_EVENTS.RELEASE, { source: 'touch' });
       
       // 상태 변경 후 명도대비 업데이트
       ButtonSystem.StyleManager.scheduleUpdate();
@@ -677,6 +2177,7 @@ const initializeApp = async () => {
     const button = event.target?.closest?.('.button');
     if (button && button.classList.contains('pressed') && !button.classList.contains('toggle')) {
       button.classList.remove('pressed');
+      ButtonSystem.emit(button, BUTTON_EVENTS.RELEASE, { source: 'touch' });
       
       // 상태 변경 후 명도대비 업데이트
       ButtonSystem.StyleManager.scheduleUpdate();
@@ -0,0 +1,535 @@
+/* ==============================
+  🌈 색상 파싱 및 명도대비 계산 모듈
+  브라우저(app.js)와 빌드 스크립트에서 공용으로 사용
+  ============================== */
+
+// ==============================
+// 📋 CSS 이름 색상 (CSS Color Module Level 4)
+// ==============================
+
+const NAMED_COLORS = {
+  aliceblue: 0xf0f8ff, antiquewhite: 0xfaebd7, aqua: 0x00ffff, aquamarine: 0x7fffd4,
+  azure: 0xf0ffff, beige: 0xf5f5dc, bisque: 0xffe4c4, black: 0x000000, blanchedalmond: 0xffebcd,
+  blue: 0x0000ff, blueviolet: 0x8a2be2, brown: 0xa52a2a, burlywood: 0xdeb887, cadetblue: 0x5f9ea0,
+  chartreuse: 0x7fff00, chocolate: 0xd2691e, coral: 0xff7f50, cornflowerblue: 0x6495ed,
+  cornsilk: 0xfff8dc, crimson: 0xdc143c, cyan: 0x00ffff, darkblue: 0x00008b, darkcyan: 0x008b8b,
+  darkgoldenrod: 0xb8860b, darkgray: 0xa9a9a9, darkgreen: 0x006400, darkgrey: 0xa9a9a9,
+  darkkhaki: 0xbdb76b, darkmagenta: 0x8b008b, darkolivegreen: 0x556b2f, darkorange: 0xff8c00,
+  darkorchid: 0x9932cc, darkred: 0x8b0000, darksalmon: 0xe9967a, darkseagreen: 0x8fbc8f,
+  darkslateblue: 0x483d8b, darkslategray: 0x2f4f4f, darkslategrey: 0x2f4f4f,
+  darkturquoise: 0x00ced1, darkviolet: 0x9400d3, deeppink: 0xff1493, deepskyblue: 0x00bfff,
+  dimgray: 0x696969, dimgrey: 0x696969, dodgerblue: 0x1e90ff, firebrick: 0xb22222,
+  floralwhite: 0xfffaf0, forestgreen: 0x228b22, fuchsia: 0xff00ff, gainsboro: 0xdcdcdc,
+  ghostwhite: 0xf8f8ff, gold: 0xffd700, goldenrod: 0xdaa520, gray: 0x808080, green: 0x008000,
+  greenyellow: 0xadff2f, grey: 0x808080, honeydew: 0xf0fff0, hotpink: 0xff69b4,
+  indianred: 0xcd5c5c, indigo: 0x4b0082, ivory: 0xfffff0, khaki: 0xf0e68c, lavender: 0xe6e6fa,
+  lavenderblush: 0xfff0f5, lawngreen: 0x7cfc00, lemonchiffon: 0xfffacd, lightblue: 0xadd8e6,
+  lightcoral: 0xf08080, lightcyan: 0xe0ffff, lightgoldenrodyellow: 0xfafad2, lightgray: 0xd3d3d3,
+  lightgreen: 0x90ee90, lightgrey: 0xd3d3d3, lightpink: 0xffb6c1, lightsalmon: 0xffa07a,
+  lightseagreen: 0x20b2aa, lightskyblue: 0x87cefa, lightslategray: 0x778899,
+  lightslategrey: 0x778899, lightsteelblue: 0xb0c4de, lightyellow: 0xffffe0, lime: 0x00ff00,
+  limegreen: 0x32cd32, linen: 0xfaf0e6, magenta: 0xff00ff, maroon: 0x800000,
+  mediumaquamarine: 0x66cdaa, mediumblue: 0x0000cd, mediumorchid: 0xba55d3, mediumpurple: 0x9370db,
+  mediumseagreen: 0x3cb371, mediumslateblue: 0x7b68ee, mediumspringgreen: 0x00fa9a,
+  mediumturquoise: 0x48d1cc, mediumvioletred: 0xc71585, midnightblue: 0x191970,
+  mintcream: 0xf5fffa, mistyrose: 0xffe4e1, moccasin: 0xffe4b5, navajowhite: 0xffdead,
+  navy: 0x000080, oldlace: 0xfdf5e6, olive: 0x808000, olivedrab: 0x6b8e23, orange: 0xffa500,
+  orangered: 0xff4500, orchid: 0xda70d6, palegoldenrod: 0xeee8aa, palegreen: 0x98fb98,
+  paleturquoise: 0xafeeee, palevioletred: 0xdb7093, papayawhip: 0xffefd5, peachpuff: 0xffdab9,
+  peru: 0xcd853f, pink: 0xffc0cb, plum: 0xdda0dd, powderblue: 0xb0e0e6, purple: 0x800080,
+  rebeccapurple: 0x663399, red: 0xff0000, rosybrown: 0xbc8f8f, royalblue: 0x4169e1,
+  saddlebrown: 0x8b4513, salmon: 0xfa8072, sandybrown: 0xf4a460, seagreen: 0x2e8b57,
+  seashell: 0xfff5ee, sienna: 0xa0522d, silver: 0xc0c0c0, skyblue: 0x87ceeb, slateblue: 0x6a5acd,
+  slategray: 0x708090, slategrey: 0x708090, snow: 0xfffafa, springgreen: 0x00ff7f,
+  steelblue: 0x4682b4, tan: 0xd2b48c, teal: 0x008080, thistle: 0xd8bfd8, tomato: 0xff6347,
+  turquoise: 0x40e0d0, violet: 0xee82ee, wheat: 0xf5deb3, white: 0xffffff, whitesmoke: 0xf5f5f5,
+  yellow: 0xffff00, yellowgreen: 0x9acd32
+};
+
+// ==============================
+// 🧮 수치 파싱 헬퍼
+// ==============================
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// 숫자 또는 퍼센트 토큰 → 숫자 (퍼센트는 percentScale 기준으로 환산, none은 0)
+const parseNumber = (token, percentScale = 1) => {
+  if (token === undefined) throw new Error('색상 성분 누락');
+  if (token === 'none') return 0;
+  const value = parseFloat(token);
+  if (Number.isNaN(value)) throw new Error(`숫자가 아닌 색상 성분: ${token}`);
+  return token.endsWith('%') ? (value / 100) * percentScale : value;
+};
+
+// 각도 토큰 → degree
+const parseHue = (token) => {
+  if (token === 'none') return 0;
+  const value = parseFloat(token);
+  if (Number.isNaN(value)) throw new Error(`잘못된 색상(hue) 값: ${token}`);
+  if (token.endsWith('grad')) return value * 0.9;
+  if (token.endsWith('rad')) return value * 180 / Math.PI;
+  if (token.endsWith('turn')) return value * 360;
+  return value;
+};
+
+const parseAlpha = (token) => token === undefined ? 1 : clamp(parseNumber(token, 1), 0, 1);
+
+// "a, b, c / d", "a b c / d", "a, b, c, d" 형식 모두 [성분..., alpha] 로 분해
+const splitArgs = (body) => {
+  const [main, slashAlpha] = body.split('/');
+  const parts = main.trim().split(/[\s,]+/).filter(Boolean);
+  if (slashAlpha !== undefined) {
+    parts.push(slashAlpha.trim());
+  }
+  return parts;
+};
+
+// ==============================
+// 🔁 색 공간 변환
+// ==============================
+
+const srgbToLinear = (c) => {
+  const abs = Math.abs(c);
+  return abs <= 0.04045 ? c / 12.92 : Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+};
+
+const linearToSrgb = (c) => {
+  const abs = Math.abs(c);
+  return abs <= 0.0031308 ? c * 12.92 : Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+};
+
+const multiply = (m, [x, y, z]) => [
+  m[0][0] * x + m[0][1] * y + m[0][2] * z,
+  m[1][0] * x + m[1][1] * y + m[1][2] * z,
+  m[2][0] * x + m[2][1] * y + m[2][2] * z
+];
+
+const XYZ_D65_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+const XYZ_D50_TO_D65 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+
+const LINEAR_P3_TO_XYZ_D65 = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976]
+];
+
+const LINEAR_REC2020_TO_XYZ_D65 = [
+  [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+  [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+  [0, 0.028072693049087428, 1.060985057710791]
+];
+
+const rec2020ToLinear = (c) => {
+  const alpha = 1.09929682680944;
+  const beta = 0.018053968510807;
+  const abs = Math.abs(c);
+  return abs < beta * 4.5 ? c / 4.5 : Math.sign(c) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+};
+
+// 선형 sRGB [0,1] → { r, g, b } (0~255, 색역 밖은 잘라냄)
+const fromLinearSrgb = ([r, g, b], alpha) => ({
+  r: clamp(linearToSrgb(r), 0, 1) * 255,
+  g: clamp(linearToSrgb(g), 0, 1) * 255,
+  b: clamp(linearToSrgb(b), 0, 1) * 255,
+  alpha
+});
+
+const fromXyzD65 = (xyz, alpha) => fromLinearSrgb(multiply(XYZ_D65_TO_LINEAR_SRGB, xyz), alpha);
+
+const fromHsl = (h, s, l, alpha) => {
+  h = ((h % 360) + 360) % 360;
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255, alpha };
+};
+
+const fromHwb = (h, w, bk, alpha) => {
+  if (w + bk >= 1) {
+    const gray = (w / (w + bk)) * 255;
+    return { r: gray, g: gray, b: gray, alpha };
+  }
+  const { r, g, b } = fromHsl(h, 1, 0.5, alpha);
+  const scale = (c) => (c / 255) * (1 - w - bk) * 255 + w * 255;
+  return { r: scale(r), g: scale(g), b: scale(b), alpha };
+};
+
+// CIE Lab (D50) → XYZ D65
+const fromLab = (L, a, b, alpha) => {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const fy = (L + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+  const xyzD50 = [
+    (Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa) * 0.3457 / 0.3585,
+    L > kappa * epsilon ? Math.pow(fy, 3) : L / kappa,
+    (Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa) * (1 - 0.3457 - 0.3585) / 0.3585
+  ];
+  return fromXyzD65(multiply(XYZ_D50_TO_D65, xyzD50), alpha);
+};
+
+// OKLab → 선형 sRGB
+const fromOklab = (L, a, b, alpha) => {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+  return fromLinearSrgb([
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ], alpha);
+};
+
+const polarToAb = (c, h) => [c * Math.cos(h * Math.PI / 180), c * Math.sin(h * Math.PI / 180)];
+
+// ==============================
+// 🎯 함수형 색상 파서
+// ==============================
+
+const colorFunctions = {
+  rgb(args) {
+    const [r, g, b, a] = args;
+    return {
+      r: clamp(parseNumber(r, 255), 0, 255),
+      g: clamp(parseNumber(g, 255), 0, 255),
+      b: clamp(parseNumber(b, 255), 0, 255),
+      alpha: parseAlpha(a)
+    };
+  },
+  
+  hsl(args) {
+    const [h, s, l, a] = args;
+    return fromHsl(parseHue(h), clamp(parseNumber(s, 100) / 100, 0, 1), clamp(parseNumber(l, 100) / 100, 0, 1), parseAlpha(a));
+  },
+  
+  hwb(args) {
+    const [h, w, b, a] = args;
+    return fromHwb(parseHue(h), clamp(parseNumber(w, 100) / 100, 0, 1), clamp(parseNumber(b, 100) / 100, 0, 1), parseAlpha(a));
+  },
+  
+  lab(args) {
+    const [L, a, b, alpha] = args;
+    return fromLab(parseNumber(L, 100), parseNumber(a, 125), parseNumber(b, 125), parseAlpha(alpha));
+  },
+  
+  lch(args) {
+    const [L, c, h, alpha] = args;
+    const [a, b] = polarToAb(parseNumber(c, 150), parseHue(h));
+    return fromLab(parseNumber(L, 100), a, b, parseAlpha(alpha));
+  },
+  
+  oklab(args) {
+    const [L, a, b, alpha] = args;
+    return fromOklab(parseNumber(L, 1), parseNumber(a, 0.4), parseNumber(b, 0.4), parseAlpha(alpha));
+  },
+  
+  oklch(args) {
+    const [L, c, h, alpha] = args;
+    const [a, b] = polarToAb(parseNumber(c, 0.4), parseHue(h));
+    return fromOklab(parseNumber(L, 1), a, b, parseAlpha(alpha));
+  },
+  
+  color(args) {
+    const [space, c1, c2, c3, a] = args;
+    const channels = [c1, c2, c3].map(token => parseNumber(token, 1));
+    const alpha = parseAlpha(a);
+    
+    switch (space) {
+      case 'srgb':
+        return fromLinearSrgb(channels.map(srgbToLinear), alpha);
+      case 'srgb-linear':
+        return fromLinearSrgb(channels, alpha);
+      case 'display-p3':
+        return fromXyzD65(multiply(LINEAR_P3_TO_XYZ_D65, channels.map(srgbToLinear)), alpha);
+      case 'rec2020':
+        return fromXyzD65(multiply(LINEAR_REC2020_TO_XYZ_D65, channels.map(rec2020ToLinear)), alpha);
+      case 'xyz':
+      case 'xyz-d65':
+        return fromXyzD65(channels, alpha);
+      case 'xyz-d50':
+        return fromXyzD65(multiply(XYZ_D50_TO_D65, channels), alpha);
+      default:
+        throw new Error(`지원하지 않는 색 공간: ${space}`);
+    }
+  }
+};
+
+colorFunctions.rgba = colorFunctions.rgb;
+colorFunctions.hsla = colorFunctions.hsl;
+
+const parseHex = (hex) => {
+  if (!/^[0-9a-f]+$/i.test(hex) || ![3, 4, 6, 8].includes(hex.length)) {
+    throw new Error(`잘못된 16진수 색상: #${hex}`);
+  }
+  // #rgb / #rgba 축약형은 자리마다 두 번 반복
+  const full = hex.length <= 4 ? hex.split('').map(c => c + c).join('') : hex;
+  return {
+    r: parseInt(full.slice(0, 2), 16),
+    g: parseInt(full.slice(2, 4), 16),
+    b: parseInt(full.slice(4, 6), 16),
+    alpha: full.length === 8 ? parseInt(full.slice(6, 8), 16) / 255 : 1
+  };
+};
+
+// ==============================
+// 📤 공개 API
+// ==============================
+
+// CSS 색상 문자열 → { r, g, b (0~255), alpha (0~1) }
+export function parseColor(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('유효하지 않은 색상 값입니다');
+  }
+  
+  const color = input.trim().toLowerCase();
+  
+  if (color === 'transparent') {
+    return { r: 0, g: 0, b: 0, alpha: 0 };
+  }
+  
+  if (color.startsWith('#')) {
+    return parseHex(color.slice(1));
+  }
+  
+  if (Object.hasOwn(NAMED_COLORS, color)) {
+    const value = NAMED_COLORS[color];
+    return { r: (value >> 16) & 0xff, g: (value >> 8) & 0xff, b: value & 0xff, alpha: 1 };
+  }
+  
+  const match = color.match(/^([a-z]+)\(\s*(.*?)\s*\)$/);
+  if (match && colorFunctions[match[1]]) {
+    return colorFunctions[match[1]](splitArgs(match[2]));
+  }
+  
+  throw new Error(`색상 파싱 실패: ${input}`);
+}
+
+// 불투명 흰색 (캔버스 기본 배경)
+export const WHITE = Object.freeze({ r: 255, g: 255, b: 255, alpha: 1 });
+
+// 반투명 전경색을 배경색 위에 합성 (source-over)
+export function compositeColors(foreground, background) {
+  const alpha = foreground.alpha + background.alpha * (1 - foreground.alpha);
+  if (alpha === 0) {
+    return { r: 0, g: 0, b: 0, alpha: 0 };
+  }
+  const mix = (f, b) => (f * foreground.alpha + b * background.alpha * (1 - foreground.alpha)) / alpha;
+  return {
+    r: mix(foreground.r, background.r),
+    g: mix(foreground.g, background.g),
+    b: mix(foreground.b, background.b),
+    alpha
+  };
+}
+
+// WCAG 2.x 상대 휘도
+export function relativeLuminance({ r, g, b }) {
+  const [rs, gs, bs] = [r, g, b].map(c => {
+    c = c / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
+}
+
+// 두 색의 명도대비 - 반투명 배경은 backdrop(기본 흰색) 위에, 반투명 전경은 그 결과 위에 합성
+export function contrastRatio(foreground, background, backdrop = WHITE) {
+  const fg = typeof foreground === 'string' ? parseColor(foreground) : foreground;
+  const bg = typeof background === 'string' ? parseColor(background) : background;
+  
+  const opaqueBackground = bg.alpha < 1 ? compositeColors(bg, backdrop) : bg;
+  const opaqueForeground = fg.alpha < 1 ? compositeColors(fg, opaqueBackground) : fg;
+  
+  const lum1 = relativeLuminance(opaqueForeground);
+  const lum2 = relativeLuminance(opaqueBackground);
+  
+  const brightest = Math.max(lum1, lum2);
+  const darkest = Math.min(lum1, lum2);
+  return (brightest + 0.05) / (darkest + 0.05);
+}
+
+export function formatColor({ r, g, b, alpha }) {
+  const round = (c) => Math.round(c);
+  return alpha < 1
+    ? `rgba(${round(r)}, ${round(g)}, ${round(b)}, ${Number(alpha.toFixed(3))})`
+    : `rgb(${round(r)}, ${round(g)}, ${round(b)})`;
+}
+
+// ==============================
+// 🌅 그라디언트 해석
+// ==============================
+
+// 괄호 밖의 구분자로만 분리 (함수형 색상 내부 쉼표/공백 보존)
+export function splitTopLevel(value, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    const isSeparator = separator === ' ' ? /\s/.test(char) : char === separator;
+    if (depth === 0 && isSeparator) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+const SIDE_ANGLES = { top: 0, right: 90, bottom: 180, left: 270 };
+
+// "to bottom right" 같은 모서리 방향은 박스 비율에 따라 각도가 달라짐
+// 그라디언트 선은 나머지 두 모서리를 잇는 대각선과 수직 → 기준 각도 atan(H / W)
+// 예) 200×100 박스의 to bottom right = 180° - 26.57° = 153.43°
+const resolveDirection = (keywords, width, height) => {
+  if (keywords.length === 1) return SIDE_ANGLES[keywords[0]];
+  
+  const vertical = keywords.find(k => k === 'top' || k === 'bottom');
+  const horizontal = keywords.find(k => k === 'left' || k === 'right');
+  const corner = Math.atan2(height || 1, width || 1) * 180 / Math.PI;
+  if (vertical === 'top') return horizontal === 'right' ? corner : 360 - corner;
+  return horizontal === 'right' ? 180 - corner : 180 + corner;
+};
+
+// background-image 값 하나를 해석 - 그라디언트가 아니면 null
+// 결과: { type, angle, stops: [{ color, position (0~1) }] }
+export function parseGradient(value, { width = 0, height = 0 } = {}) {
+  const match = value.trim().match(/^(repeating-)?(linear|radial|conic)-gradient\((.*)\)$/is);
+  if (!match) return null;
+  
+  const type = match[2].toLowerCase();
+  const args = splitTopLevel(match[3]);
+  let angle = 180;
+  
+  // 첫 인자가 색상이 아니면 방향/형태 지정
+  const first = args[0].toLowerCase();
+  if (type === 'linear' && /^to\s/.test(first)) {
+    angle = resolveDirection(first.split(/\s+/).slice(1), width, height);
+    args.shift();
+  } else if (type === 'linear' && /^-?[\d.]+(deg|grad|rad|turn)$/.test(first)) {
+    angle = parseHue(first);
+    args.shift();
+  } else if (type !== 'linear') {
+    try {
+      parseColor(splitTopLevel(first, ' ')[0]);
+    } catch (error) {
+      args.shift();
+    }
+  }
+  
+  // 그라디언트 선 길이 (px 위치를 비율로 환산할 때 사용)
+  const radians = angle * Math.PI / 180;
+  const lineLength = Math.abs(width * Math.sin(radians)) + Math.abs(height * Math.cos(radians));
+  
+  const stops = [];
+  for (const arg of args) {
+    const [colorToken, ...positions] = splitTopLevel(arg, ' ');
+    let color;
+    try {
+      color = parseColor(colorToken);
+    } catch (error) {
+      // 색상 없이 위치만 있는 보간 힌트는 건너뜀
+      continue;
+    }
+    
+    const toFraction = (token) => {
+      if (token.endsWith('%')) return parseFloat(token) / 100;
+      if (token.endsWith('px') && lineLength > 0) return parseFloat(token) / lineLength;
+      return null;
+    };
+    
+    if (positions.length === 0) {
+      stops.push({ color, position: null });
+    } else {
+      // "색상 0% 50%" 처럼 위치가 두 개면 같은 색의 정지점 두 개
+      positions.forEach(token => stops.push({ color, position: toFraction(token) }));
+    }
+  }
+  
+  if (stops.length === 0) return null;
+  
+  // 위치 없는 정지점 보정: 양 끝은 0/1, 사이는 균등 분배, 역행 위치는 앞 위치로 당김
+  if (stops[0].position === null) stops[0].position = 0;
+  if (stops[stops.length - 1].position === null) stops[stops.length - 1].position = 1;
+  for (let i = 1; i < stops.length; i++) {
+    if (stops[i].position === null) {
+      let next = i;
+      while (stops[next].position === null) next++;
+      const start = stops[i - 1].position;
+      const step = (stops[next].position - start) / (next - i + 1);
+      for (let j = i; j < next; j++) {
+        stops[j].position = start + step * (j - i + 1);
+      }
+    }
+    stops[i].position = Math.max(stops[i].position, stops[i - 1].position);
+  }
+  
+  return { type, angle, stops };
+}
+
+// 사전 곱셈 알파(premultiplied) 공간에서 두 색을 보간 - CSS 그라디언트 기본 동작
+export function interpolateColor(from, to, t) {
+  const alpha = from.alpha + (to.alpha - from.alpha) * t;
+  if (alpha === 0) return { r: 0, g: 0, b: 0, alpha: 0 };
+  const mix = (a, b) => (a * from.alpha + (b * to.alpha - a * from.alpha) * t) / alpha;
+  return { r: mix(from.r, to.r), g: mix(from.g, to.g), b: mix(from.b, to.b), alpha };
+}
+
+// 그라디언트 위치 t (0~1) 의 색상
+export function colorAtGradient(gradient, t) {
+  const { stops } = gradient;
+  if (t <= stops[0].position) return stops[0].color;
+  for (let i = 1; i < stops.length; i++) {
+    const prev = stops[i - 1];
+    const next = stops[i];
+    if (t <= next.position) {
+      const span = next.position - prev.position;
+      return span === 0 ? next.color : interpolateColor(prev.color, next.color, (t - prev.position) / span);
+    }
+  }
+  return stops[stops.length - 1].color;
+}
+
+// 그라디언트 박스(layerRect) 안에서 targetRect가 덮는 그라디언트 구간 [t0, t1]
+// 선형이 아닌 그라디언트는 전체 구간으로 간주
+export function gradientRange(gradient, layerRect, targetRect) {
+  if (gradient.type !== 'linear' || !layerRect.width || !layerRect.height) return [0, 1];
+  
+  const radians = gradient.angle * Math.PI / 180;
+  const dx = Math.sin(radians);
+  const dy = -Math.cos(radians);
+  const lineLength = Math.abs(layerRect.width * dx) + Math.abs(layerRect.height * dy);
+  const cx = layerRect.left + layerRect.width / 2;
+  const cy = layerRect.top + layerRect.height / 2;
+  
+  const project = (x, y) => ((x - cx) * dx + (y - cy) * dy) / lineLength + 0.5;
+  const corners = [
+    project(targetRect.left, targetRect.top),
+    project(targetRect.right, targetRect.top),
+    project(targetRect.left, targetRect.bottom),
+    project(targetRect.right, targetRect.bottom)
+  ];
+  
+  return [clamp(Math.min(...corners), 0, 1), clamp(Math.max(...corners), 0, 1)];
+}
+
+// 구간 [t0, t1] 안에서 나타날 수 있는 모든 극값 색상 (양 끝 + 사이의 정지점)
+export function sampleGradient(gradient, [t0, t1] = [0, 1]) {
+  const positions = [t0, t1, ...gradient.stops.map(stop => stop.position).filter(p => p > t0 && p < t1)];
+  return positions.map(t => colorAtGradient(gradient, t));
+}
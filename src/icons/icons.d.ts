@@ -0,0 +1,56 @@
+/* ==============================
+  🎨 아이콘 타입 선언 (import type { IconKey } from './icons/icons')
+  자동 생성됨 - 직접 수정하지 마세요!
+  스크립트: npm run update-icons
+  ============================== */
+
+export type IconKey =
+  | 'add'
+  | 'arrow-left'
+  | 'arrow-right'
+  | 'cancel'
+  | 'contrast'
+  | 'delete'
+  | 'done'
+  | 'exit'
+  | 'extention'
+  | 'favicon'
+  | 'help'
+  | 'home'
+  | 'info'
+  | 'large'
+  | 'lowpos'
+  | 'minus'
+  | 'ok'
+  | 'order'
+  | 'pay'
+  | 'placeholder'
+  | 'plus'
+  | 'print'
+  | 'reset'
+  | 'restart'
+  | 'soldout-large'
+  | 'soldout-small'
+  | 'step'
+  | 'takein'
+  | 'takeout'
+  | 'time'
+  | 'toggle'
+  | 'volume'
+  | 'warning';
+
+export interface IconOptions {
+  recolor?: boolean;
+}
+
+export interface IconMetadata {
+  file: string;
+  viewBox: string;
+  bytes: number;
+  hash: string;
+}
+
+export interface IconManifest {
+  sprite: Omit<IconMetadata, 'viewBox'>;
+  icons: Record<IconKey, IconMetadata>;
+}
@@ -41,14 +41,39 @@ export const iconPaths = {
   "warning": "warning.svg"
 };
 
+// 빌드 결과 경로 매핑 (scripts/build.js가 asset-manifest.json 내용을 주입, 미빌드 시 원본 경로)
+const assetManifest = globalThis.__ASSET_MANIFEST__ ?? {};
+
+export const iconDir = 'assets/icons/';
+
+// 'assets/icons/add.svg' → './assets/icons/add.{hash}.svg'
+export function resolveAssetPath(path) {
+  return `./${assetManifest[path] ?? path}`;
+}
+
 // 전체 경로 생성 함수
 export function getIconPath(iconKey) {
   const filename = iconPaths[iconKey];
   if (!filename) {
     console.warn(`⚠️ Icon "${iconKey}" not found in iconPaths, using placeholder`);
-    return './assets/icons/placeholder.svg';
+    return resolveAssetPath(`${iconDir}placeholder.svg`);
+  }
+  return resolveAssetPath(`${iconDir}${filename}`);
+}
+
+// 아이콘별 설정 (manifest.json에서 생성됨)
+// - recolor: false → 원본 색상 유지
+export const iconOptions = {
+  "favicon": {
+    "recolor": false
   }
-  return `./assets/icons/${filename}`;
+};
+
+// 전체 아이콘 <symbol> 스프라이트 (아이콘 id: icon-{key})
+export const spriteFile = 'sprite.svg';
+
+export function getSpritePath() {
+  return resolveAssetPath(`${iconDir}${spriteFile}`);
 }
 
 // iconMap 생성 함수
@@ -72,7 +97,7 @@ export const fallbackIcon = 'placeholder';
   📊 메타데이터
   ============================== */
 // 총 아이콘 개수: 33
-// 생성 일시: 2025-12-05T16:48:02.626Z
+// 생성 일시: 2026-10-19T18:24:25.609Z
 
 
 
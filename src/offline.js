@@ -0,0 +1,120 @@
+/* ==============================
+  📴 오프라인 지원 모듈
+  서비스 워커(sw.js) 등록과 새 버전 감지
+  - 첫 방문 후에는 네트워크 없이도 전체 앱이 동작
+  - 새 버전이 설치되면 update-available 이벤트/콜백으로 알리고 applyUpdate()로 교체
+  ============================== */
+
+export const OFFLINE_EVENTS = {
+  UPDATE_AVAILABLE: 'offline:update-available'
+};
+
+export const OfflineManager = {
+  EVENTS: OFFLINE_EVENTS,
+  scriptUrl: './sw.js',
+
+  state: {
+    registration: null,
+    waiting: null,
+    reloading: false,
+    handlers: new Set()
+  },
+
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+  },
+
+  // 새 버전 대기 여부
+  isUpdateAvailable() {
+    return this.state.waiting !== null;
+  },
+
+  // 새 버전 설치 완료 시 호출될 콜백 등록 (해제 함수 반환)
+  onUpdateAvailable(handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('업데이트 알림 콜백은 함수여야 합니다');
+    }
+    this.state.handlers.add(handler);
+    // 등록 전에 이미 대기 중인 버전이 있으면 바로 알림
+    if (this.state.waiting) handler(this.state.registration);
+    return () => this.state.handlers.delete(handler);
+  },
+
+  notifyUpdate(worker) {
+    this.state.waiting = worker;
+    const { registration } = this.state;
+    this.state.handlers.forEach(handler => handler(registration));
+    document.dispatchEvent(new CustomEvent(OFFLINE_EVENTS.UPDATE_AVAILABLE, {
+      detail: { registration }
+    }));
+  },
+
+  // 설치 중인 워커가 installed가 되면 알림 (기존 컨트롤러가 없으면 첫 설치이므로 제외)
+  trackInstalling(worker) {
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        this.notifyUpdate(worker);
+      }
+    });
+  },
+
+  async register() {
+    if (!this.isSupported()) return null;
+
+    try {
+      // sw.js 자체는 HTTP 캐시를 거치지 않고 매번 확인 (매니페스트 해시 변경 감지)
+      const registration = await navigator.serviceWorker.register(this.scriptUrl, { updateViaCache: 'none' });
+      this.state.registration = registration;
+
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.notifyUpdate(registration.waiting);
+      }
+      this.trackInstalling(registration.installing);
+      registration.addEventListener('updatefound', () => this.trackInstalling(registration.installing));
+
+      // applyUpdate()로 교체된 경우에만 새로고침
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!this.state.waiting || this.state.reloading) return;
+        this.state.reloading = true;
+        window.location.reload();
+      });
+
+      // 네트워크 복구 시 새 버전 확인
+      window.addEventListener('online', () => this.checkForUpdate());
+
+      console.log('📴 Service worker registered');
+      return registration;
+    } catch (error) {
+      console.warn('⚠️ Service worker registration failed:', error);
+      return null;
+    }
+  },
+
+  async checkForUpdate() {
+    try {
+      await this.state.registration?.update();
+    } catch (error) {
+      console.warn('⚠️ Service worker update check failed:', error);
+    }
+  },
+
+  // 대기 중인 새 버전 활성화 (controllerchange 후 새로고침)
+  applyUpdate() {
+    const { waiting } = this.state;
+    if (!waiting) return false;
+    waiting.postMessage({ type: 'SKIP_WAITING' });
+    return true;
+  },
+
+  // 개발 모드: 이전 프로덕션 빌드의 워커가 개발 서버 응답을 가로채지 않도록 해제
+  async unregisterAll() {
+    if (!this.isSupported()) return;
+    try {
+      const registrations = await navigator.serviceWorker.getRegistrations();
+      await Promise.all(registrations.map(registration => registration.unregister()));
+    } catch (error) {
+      console.warn('⚠️ Service worker unregistration failed:', error);
+    }
+  }
+};
@@ -0,0 +1,152 @@
+/* ==============================
+  🔊 음성 안내 모듈
+  버튼 초점·활성화 시 aria-label과 눌림/비활성 상태를 읽어줌
+  음성 출력은 어댑터로 분리 (기본: Web Speech API, 테스트: 기록용 어댑터 주입)
+  ============================== */
+
+// ==============================
+// 🔌 음성 어댑터
+// ==============================
+// 어댑터 인터페이스
+// - isSupported(): boolean
+// - speak(text, { volume, rate, lang }): void  (이전 발화를 끊고 새로 읽음)
+// - cancel(): void
+
+export const WebSpeechAdapter = {
+  isSupported() {
+    return typeof window !== 'undefined' &&
+      'speechSynthesis' in window &&
+      typeof window.SpeechSynthesisUtterance === 'function';
+  },
+
+  speak(text, { volume, rate, lang }) {
+    if (!this.isSupported()) return;
+    const utterance = new window.SpeechSynthesisUtterance(text);
+    utterance.volume = volume;
+    utterance.rate = rate;
+    utterance.lang = lang;
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+  },
+
+  cancel() {
+    if (this.isSupported()) window.speechSynthesis.cancel();
+  }
+};
+
+const REQUIRED_ADAPTER_METHODS = ['isSupported', 'speak', 'cancel'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// ==============================
+// 🗣️ 음성 안내
+// ==============================
+
+export const SpeechFeedback = {
+  adapter: WebSpeechAdapter,
+
+  // 기본값은 음소거 - enable() 또는 볼륨 아이콘 버튼으로 활성화
+  state: {
+    enabled: false,
+    volume: 1,
+    rate: 1,
+    lang: 'ko-KR'
+  },
+
+  // 읽어줄 상태 문구
+  messages: {
+    pressed: '선택됨',
+    notPressed: '선택 안 됨',
+    disabled: '사용할 수 없음',
+    enabled: '음성 안내를 시작합니다',
+    fallbackLabel: '버튼'
+  },
+
+  // 같은 버튼을 같은 문구로 이 시간(ms) 안에 다시 읽지 않음 (터치·클릭 시 focusin → click 연속 발생)
+  repeatInterval: 1000,
+
+  lastAnnouncement: { button: null, text: '', time: 0 },
+
+  setAdapter(adapter) {
+    const missing = REQUIRED_ADAPTER_METHODS.filter(method => typeof adapter?.[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`음성 어댑터에 필요한 메서드가 없습니다: ${missing.join(', ')}`);
+    }
+    this.adapter.cancel();
+    this.adapter = adapter;
+  },
+
+  isEnabled() {
+    return this.state.enabled;
+  },
+
+  setEnabled(enabled) {
+    const next = Boolean(enabled);
+    if (next === this.state.enabled) return;
+
+    this.state.enabled = next;
+    if (next) {
+      this.announce(this.messages.enabled);
+    } else {
+      this.adapter.cancel();
+    }
+  },
+
+  // 볼륨 0 ~ 1
+  setVolume(volume) {
+    const value = Number(volume);
+    if (!Number.isFinite(value)) throw new Error(`잘못된 볼륨 값입니다: ${volume}`);
+    this.state.volume = clamp(value, 0, 1);
+  },
+
+  // 속도 0.1 ~ 10 (Web Speech API 범위)
+  setRate(rate) {
+    const value = Number(rate);
+    if (!Number.isFinite(value)) throw new Error(`잘못된 속도 값입니다: ${rate}`);
+    this.state.rate = clamp(value, 0.1, 10);
+  },
+
+  // { enabled, volume, rate, lang, adapter } 부분 지정
+  configure({ enabled, volume, rate, lang, adapter } = {}) {
+    if (adapter !== undefined) this.setAdapter(adapter);
+    if (volume !== undefined) this.setVolume(volume);
+    if (rate !== undefined) this.setRate(rate);
+    if (lang !== undefined) this.state.lang = lang;
+    if (enabled !== undefined) this.setEnabled(enabled);
+    return { ...this.state };
+  },
+
+  // 버튼 설명 문구: "라벨, 선택됨, 사용할 수 없음"
+  describe(button) {
+    const label = button.getAttribute('aria-label')?.trim() ||
+      button.textContent.replace(/\s+/g, ' ').trim() ||
+      this.messages.fallbackLabel;
+    const parts = [label];
+
+    // 토글(aria-pressed)과 단일 선택 그룹(aria-checked) 모두 눌림 상태로 읽음
+    const pressed = button.getAttribute('aria-pressed') ?? button.getAttribute('aria-checked');
+    if (pressed === 'true') parts.push(this.messages.pressed);
+    if (pressed === 'false') parts.push(this.messages.notPressed);
+
+    if (button.getAttribute('aria-disabled') === 'true') parts.push(this.messages.disabled);
+
+    return parts.join(', ');
+  },
+
+  announce(text) {
+    if (!this.state.enabled || !text || !this.adapter.isSupported()) return;
+    const { volume, rate, lang } = this.state;
+    this.adapter.speak(text, { volume, rate, lang });
+  },
+
+  // 눌림 상태가 바뀌면 문구가 달라지므로 다시 읽음
+  announceButton(button) {
+    const text = this.describe(button);
+    const now = Date.now();
+    const last = this.lastAnnouncement;
+    if (last.button === button && last.text === text && now - last.time < this.repeatInterval) return;
+
+    this.lastAnnouncement = { button, text, time: now };
+    this.announce(text);
+  }
+};
@@ -0,0 +1,77 @@
+/* ==============================
+  📴 서비스 워커 (오프라인 지원)
+  scripts/build.js가 precache 매니페스트를 앞에 붙여 dist/sw.js로 출력
+  - 설치 시 app.js, app.css, 사용 중인 폰트, 아이콘을 모두 캐시
+  - 매니페스트 version(콘텐츠 해시)이 바뀌면 새 캐시로 교체
+  ============================== */
+
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST__ ?? { version: 'dev', files: [] };
+
+const CACHE_PREFIX = 'button-system-precache-';
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_MANIFEST.version}`;
+
+// 탐색 요청 실패 시 응답할 문서
+const FALLBACK_DOCUMENT = 'index.html';
+
+const toUrl = (path) => new URL(path, self.registration.scope).href;
+
+const precachedUrls = new Set(PRECACHE_MANIFEST.files.map(toUrl));
+
+// ==============================
+// 📦 설치 / 활성화
+// ==============================
+
+self.addEventListener('install', (event) => {
+  // 새 버전은 대기 상태로 두고 페이지의 applyUpdate() 요청(SKIP_WAITING)을 기다림
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll([...precachedUrls]))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ==============================
+// 🌐 요청 처리
+// ==============================
+
+// 문서: 네트워크 우선 → 캐시된 index.html
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(toUrl(FALLBACK_DOCUMENT));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// 정적 자원: 캐시 우선 → 네트워크
+const handleAsset = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  return cached ?? fetch(request);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (precachedUrls.has(request.url)) {
+    event.respondWith(handleAsset(request));
+  }
+});
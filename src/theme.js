@@ -0,0 +1,170 @@
+/* ==============================
+  🌓 테마 관리 모듈
+  Light / Dark / High Contrast 테마 전환, 시스템 설정 추종, 사용자 선택 저장
+  ============================== */
+
+const THEMES = ['light', 'dark', 'high-contrast'];
+
+// 'system'은 사용자가 직접 고르지 않은 상태 (prefers-color-scheme / prefers-contrast 추종)
+const SYSTEM_PREFERENCE = 'system';
+
+export const THEME_EVENTS = {
+  CHANGE: 'theme:change'
+};
+
+// localStorage 접근 (사생활 보호 모드 등에서 예외가 발생할 수 있음)
+const storage = {
+  get(key) {
+    try {
+      return window.localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  },
+
+  set(key, value) {
+    try {
+      if (value === null) {
+        window.localStorage.removeItem(key);
+      } else {
+        window.localStorage.setItem(key, value);
+      }
+    } catch {
+      // 저장 실패 시 현재 세션에서만 유지
+    }
+  }
+};
+
+export const ThemeManager = {
+  THEMES,
+  EVENTS: THEME_EVENTS,
+  storageKey: 'button-system:theme',
+
+  // 시스템 설정 감지용 미디어 쿼리
+  queries: {
+    dark: '(prefers-color-scheme: dark)',
+    contrast: '(prefers-contrast: more)'
+  },
+
+  state: {
+    preference: SYSTEM_PREFERENCE,
+    mediaQueries: [],
+    initialized: false
+  },
+
+  isTheme(value) {
+    return THEMES.includes(value);
+  },
+
+  matches(query) {
+    return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+  },
+
+  // 시스템 설정에 따른 테마 (고대비 요청이 색상 모드보다 우선)
+  getSystemTheme() {
+    if (this.matches(this.queries.contrast)) return 'high-contrast';
+    if (this.matches(this.queries.dark)) return 'dark';
+    return 'light';
+  },
+
+  // 사용자 선택 → 시스템 설정 순으로 현재 문서 테마 결정
+  getTheme() {
+    return this.isTheme(this.state.preference) ? this.state.preference : this.getSystemTheme();
+  },
+
+  getPreference() {
+    return this.state.preference;
+  },
+
+  loadPreference() {
+    const saved = storage.get(this.storageKey);
+    return this.isTheme(saved) ? saved : SYSTEM_PREFERENCE;
+  },
+
+  // 테마 클래스 적용 (root가 문서가 아니면 해당 하위 트리에만 적용)
+  apply(root, theme) {
+    const element = root === document ? document.documentElement : root;
+    if (!element || !this.isTheme(theme)) return;
+
+    const previous = element.dataset.theme;
+    element.classList.remove(...THEMES);
+    element.classList.add(theme);
+    element.dataset.theme = theme;
+    // 폼 컨트롤·스크롤바 등 UA 요소 색상도 맞춤
+    element.style.colorScheme = theme === 'light' ? 'light' : 'dark';
+
+    if (previous !== theme) {
+      element.dispatchEvent(new CustomEvent(THEME_EVENTS.CHANGE, {
+        bubbles: true,
+        detail: { theme, previous: previous ?? null, root: element }
+      }));
+    }
+  },
+
+  // 테마 지정
+  // - theme: THEMES 중 하나 또는 'system'
+  // - root: 생략 시 문서 전체, 요소 지정 시 하위 트리만 (저장하지 않음)
+  setTheme(theme, { root = document, persist = true } = {}) {
+    const isSystem = theme === SYSTEM_PREFERENCE;
+    if (!isSystem && !this.isTheme(theme)) {
+      throw new Error(`알 수 없는 테마입니다: ${theme} (사용 가능: ${[...THEMES, SYSTEM_PREFERENCE].join(', ')})`);
+    }
+
+    if (root !== document) {
+      if (isSystem) {
+        this.clear(root);
+      } else {
+        this.apply(root, theme);
+      }
+      return;
+    }
+
+    this.state.preference = theme;
+    if (persist) storage.set(this.storageKey, isSystem ? null : theme);
+    this.apply(document, this.getTheme());
+  },
+
+  // 하위 트리 테마 해제 (상위 테마를 다시 상속)
+  clear(root) {
+    if (!root || root === document) return;
+    root.classList.remove(...THEMES);
+    delete root.dataset.theme;
+    root.style.colorScheme = '';
+  },
+
+  // 다음 테마로 순환 (light → dark → high-contrast → light)
+  cycle(root = document) {
+    const current = root === document ? this.getTheme() : (root.dataset.theme ?? this.getTheme());
+    const next = THEMES[(THEMES.indexOf(current) + 1) % THEMES.length];
+    this.setTheme(next, { root });
+    return next;
+  },
+
+  // 시스템 설정 변경 시 사용자 선택이 없을 때만 반영
+  watchSystem() {
+    if (typeof window.matchMedia !== 'function') return;
+
+    const onChange = () => {
+      if (this.state.preference === SYSTEM_PREFERENCE) {
+        this.apply(document, this.getSystemTheme());
+      }
+    };
+
+    this.state.mediaQueries = Object.values(this.queries).map((query) => {
+      const mql = window.matchMedia(query);
+      mql.addEventListener?.('change', onChange);
+      return { mql, onChange };
+    });
+  },
+
+  init() {
+    if (this.state.initialized) return this.getTheme();
+
+    this.state.preference = this.loadPreference();
+    this.apply(document, this.getTheme());
+    this.watchSystem();
+    this.state.initialized = true;
+
+    return this.getTheme();
+  }
+};